@@ -1,5 +1,9 @@
 // Universal Chat Log Export - Background Script
 
+// Shared modules attach themselves to window
+self.window = self;
+importScripts("modules/settings.js", "modules/export-log.js");
+
 const config = {
   debug: true,
   domains: [
@@ -11,6 +15,22 @@ const config = {
   ],
 };
 
+// Hosts whose files need the session cookie (Claude serves uploads only to a
+// signed-in session); other servers get anonymous requests
+const COOKIE_HOSTS = ["claude.ai", "anthropic.com"];
+
+function credentialsFor(url) {
+  try {
+    const host = new URL(url).hostname;
+    const match = COOKIE_HOSTS.some(
+      (domain) => host === domain || host.endsWith(`.${domain}`),
+    );
+    return match ? "include" : "omit";
+  } catch (e) {
+    return "omit";
+  }
+}
+
 chrome.runtime.onMessageExternal.addListener(
   (request, sender, sendResponse) => {
     sendResponse({ success: false, error: "External requests not allowed" });
@@ -25,130 +45,472 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   switch (request.action) {
-    case "directDownload":
-      // Used for JSON and Base64 blobs
-      try {
-        chrome.downloads.download(
-          {
-            url: request.url,
-            filename: request.filename,
-            saveAs: false,
-          },
-          (downloadId) => {
-            if (chrome.runtime.lastError) {
-              sendResponse({
-                success: false,
-                error: chrome.runtime.lastError.message,
-              });
-            } else {
-              sendResponse({ success: true, downloadId });
-            }
-          },
-        );
-        return true;
-      } catch (error) {
-        sendResponse({ success: false, error: error.message });
-      }
-      break;
-
-    case "downloadMedia":
-      // Legacy downloader (ChatGPT)
-      if (request.url && request.filename) {
-        downloadMedia(request.url, request.token, request.filename)
-          .then((result) => sendResponse(result))
-          .catch((err) => sendResponse({ success: false, error: err.message }));
-        return true;
-      }
-      break;
+    case "archive":
+      // Handed from a content script to the offscreen archive builder. This
+      // only answers whether the build started: builds can outlast the time
+      // a service worker event may stay open, so the result follows as
+      // archiveDone.
+      startArchiveRequest(request, sender.tab && sender.tab.id)
+        .then(() => sendResponse({ success: true }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case "archiveStatus":
+      // Whether a tab's build is still running, so it does not wait forever
+      // on a builder that went away
+      buildState(request.channel).then((state) => sendResponse({ state }));
+      return true;
+
+    case "archiveDone":
+      // From the offscreen archive builder once a build has finished
+      finishArchiveRequest(request).finally(() => sendResponse({}));
+      return true;
+
+    case "archiveProgress":
+      // From the offscreen archive builder to the tab that asked
+      reportToTab(request.tabId, request.channel, request.message);
+      return false;
 
     case "fetchBlobBase64":
       // THE FIX: Fetch remote URL and return as Base64 to content script
       // This bypasses CORS because the Background Script has host permissions
-      fetch(request.url)
-        .then((response) => response.blob())
-        .then((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () =>
-            sendResponse({ success: true, data: reader.result });
-          reader.readAsDataURL(blob);
+      // Cookies are sent only where files need the session (Claude)
+      // HTTP errors carry their status and Retry-After so the caller's
+      // RequestScheduler can back off
+      fetch(request.url, { credentials: credentialsFor(request.url) })
+        .then((response) => {
+          if (!response.ok) {
+            sendResponse({
+              success: false,
+              error: `HTTP ${response.status}`,
+              status: response.status,
+              retryAfter: response.headers.get("retry-after"),
+            });
+            return;
+          }
+          return response.blob().then((blob) => {
+            const reader = new FileReader();
+            reader.onloadend = () =>
+              sendResponse({ success: true, data: reader.result });
+            reader.readAsDataURL(blob);
+          });
         })
         .catch((err) => sendResponse({ success: false, error: err.message }));
       return true;
+
+    case "appendExportLog":
+      // Content scripts' log entries; see ExportLog
+      self.ExportLog.append(request.entry)
+        .then((entry) => sendResponse({ success: true, entry }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case "scheduledBackupDone":
+      finishScheduledBackup(request.report, sender.tab && sender.tab.id)
+        .then(() => sendResponse({ success: true }))
+        .catch((err) => sendResponse({ success: false, error: err.message }));
+      return true;
   }
   return false;
 });
 
-// Specialized downloader (kept for ChatGPT compatibility)
-async function downloadMedia(url, token, filename) {
-  try {
-    let blob = null;
-    let urlsToTry = [url];
+// --- OFFSCREEN ARCHIVE BUILDER ---
+
+const OFFSCREEN_URL = "offscreen.html";
+
+// Close the archive builder after this many minutes without requests,
+// unless it is still building. An alarm wakes the service worker for it; a
+// timer would be lost if the worker is suspended first.
+const OFFSCREEN_CLOSE_ALARM = "closeOffscreen";
+const OFFSCREEN_IDLE_MINUTES = 1;
+
+let offscreenCreating = null;
+let offscreenUsers = 0;
+
+async function offscreenOpen() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreen() {
+  if (await offscreenOpen()) return;
 
-    if (url.includes("file-service://")) {
-      const id = url.split("file-service://")[1];
-      urlsToTry = [`https://chatgpt.com/backend-api/files/${id}/download`];
+  // Concurrent requests wait for the same document
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ["BLOBS"],
+        justification:
+          "Build export archives and hand them to chrome.downloads while the chat tab navigates or closes",
+      })
+      .finally(() => {
+        offscreenCreating = null;
+      });
+  }
+  await offscreenCreating;
+}
+
+// Close the archive builder if it is idle. Builds run on after their
+// request was answered, so ask it first.
+async function closeIdleOffscreen() {
+  if (offscreenUsers > 0) return;
+  try {
+    if (!(await offscreenOpen())) return;
+    const { busy } = await callOffscreen("status", {});
+    if (busy) {
+      chrome.alarms.create(OFFSCREEN_CLOSE_ALARM, {
+        delayInMinutes: OFFSCREEN_IDLE_MINUTES,
+      });
+      return;
     }
+    await chrome.offscreen.closeDocument();
+  } catch (e) {
+    // Closed already
+  }
+}
 
-    for (const u of urlsToTry) {
-      try {
-        const headers = { "Cache-Control": "no-cache" };
-        if (
-          token &&
-          token !== "dummy" &&
-          !u.includes("googleusercontent") &&
-          !u.includes("oaiusercontent")
-        ) {
-          headers["Authorization"] = `Bearer ${token}`;
-        }
-        const resp = await fetch(u, { headers });
-        if (resp.ok) {
-          blob = await resp.blob();
-          break;
-        }
-      } catch (e) {
-        console.error(e);
-      }
+// Run a task with the archive builder open, closing it once idle
+async function withOffscreen(task) {
+  offscreenUsers++;
+  try {
+    await ensureOffscreen();
+    return await task();
+  } finally {
+    offscreenUsers--;
+    if (offscreenUsers === 0) {
+      chrome.alarms.create(OFFSCREEN_CLOSE_ALARM, {
+        delayInMinutes: OFFSCREEN_IDLE_MINUTES,
+      });
     }
+  }
+}
 
-    if (!blob) return await downloadFromUnsafeUrl(urlsToTry[0], filename);
-
-    const blobUrl = URL.createObjectURL(blob);
-    return new Promise((resolve) => {
-      chrome.downloads.download(
-        {
-          url: blobUrl,
-          filename: filename,
-          saveAs: false,
-        },
-        (id) => {
-          setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
-          if (chrome.runtime.lastError)
-            resolve({
-              success: false,
-              error: chrome.runtime.lastError.message,
-            });
-          else resolve({ success: true, filename });
-        },
+async function callOffscreen(op, params) {
+  const response = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    op,
+    ...params,
+  });
+  if (!response) throw new Error("The archive builder did not respond");
+  if (!response.success) throw new Error(response.error);
+  return response;
+}
+
+// Save a built archive to the downloads folder, or the backup subfolder
+async function saveArchive(url, filename, destination) {
+  if (destination === "backup") {
+    const settings = await self.ExportSettings.load();
+    const folder = backupFolderPath(settings.backupFolder);
+    if (folder) filename = `${folder}/${filename}`;
+  }
+
+  const downloadId = await chrome.downloads.download({
+    url,
+    filename,
+    conflictAction: "uniquify",
+    saveAs: false,
+  });
+  await waitForDownload(downloadId);
+  return filename;
+}
+
+// Forward an archive request to the archive builder, which starts the build
+// and answers at once. It reports back with archiveDone, carrying the tab,
+// channel and destination of the request, so nothing has to be kept here
+// while it runs.
+function startArchiveRequest(request, tabId) {
+  const { action, ...params } = request;
+  return withOffscreen(() => callOffscreen(params.op, { ...params, tabId }));
+}
+
+// State of the build of a request channel: "running", "reported" (finished
+// and handed back for saving) or "unknown" (never started, or lost with a
+// closed builder)
+async function buildState(channel) {
+  try {
+    if (!(await offscreenOpen())) return "unknown";
+    const { build } = await callOffscreen("status", { channel });
+    return build;
+  } catch (e) {
+    return "unknown";
+  }
+}
+
+// Pass a progress message to the tab that asked for an archive
+function reportToTab(tabId, channel, message) {
+  if (!tabId) return;
+  chrome.tabs
+    .sendMessage(tabId, { action: "archiveProgress", channel, message })
+    // The tab may have navigated away; the export carries on
+    .catch(() => {});
+}
+
+// Save built archives (one, or each part of a split export), handed over as
+// blob URLs, in order and then release them
+async function saveArchives(
+  { archives, ...result },
+  destination,
+  statusCallback,
+) {
+  const saved = [];
+  try {
+    for (const archive of archives) {
+      statusCallback(`Saving ${archive.filename}...`);
+      const filename = await saveArchive(
+        archive.url,
+        archive.filename,
+        destination,
       );
+      saved.push({ filename, size: archive.size });
+    }
+  } finally {
+    for (const archive of archives) {
+      await callOffscreen("release", { archiveId: archive.archiveId });
+    }
+  }
+  return { ...result, archives: saved };
+}
+
+// Save the archives of a finished build and pass the result to the tab that
+// asked for it
+async function finishArchiveRequest({ tabId, channel, destination, response }) {
+  if (response.success && response.archives) {
+    response = await withOffscreen(() =>
+      saveArchives(response, destination, (message) =>
+        reportToTab(tabId, channel, message),
+      ),
+    ).catch((err) => ({ success: false, error: err.message }));
+  }
+  if (tabId) {
+    await chrome.tabs
+      .sendMessage(tabId, { action: "archiveDone", channel, response })
+      // The tab may have navigated away; the archives are saved regardless
+      .catch(() => {});
+  }
+}
+
+// --- SCHEDULED BACKUPS ---
+
+const BACKUP_ALARM = "scheduledBackup";
+
+// Alarm period in minutes per backupSchedule setting
+const BACKUP_PERIODS = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+};
+
+// Providers with bulk export. The session cookie tells whether the user is
+// signed in without opening a tab.
+const BACKUP_PROVIDERS = {
+  chatgpt: {
+    url: "https://chatgpt.com/",
+    tabUrls: ["https://chatgpt.com/*", "https://chat.openai.com/*"],
+    cookieDomain: "chatgpt.com",
+    sessionCookie: "__Secure-next-auth.session-token",
+  },
+  claude: {
+    url: "https://claude.ai/recents",
+    tabUrls: ["https://claude.ai/*"],
+    cookieDomain: "claude.ai",
+    sessionCookie: "sessionKey",
+  },
+};
+
+// Tabs opened for a backup, closed again once it is saved
+const BACKUP_TABS_KEY = "backupTabs";
+
+// How long a provider tab may take to load, and how often to retry reaching
+// its content script
+const TAB_LOAD_TIMEOUT = 60000;
+const CONTENT_SCRIPT_RETRIES = 10;
+const CONTENT_SCRIPT_RETRY_DELAY = 2000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Create, replace or remove the backup alarm to match the settings. An alarm
+// that already has the right period is kept so restarts do not postpone it.
+async function scheduleBackups() {
+  const settings = await self.ExportSettings.load();
+  const period = BACKUP_PERIODS[settings.backupSchedule];
+  const existing = await chrome.alarms.get(BACKUP_ALARM);
+
+  if (existing && existing.periodInMinutes === period) return;
+  await chrome.alarms.clear(BACKUP_ALARM);
+  if (period) {
+    chrome.alarms.create(BACKUP_ALARM, {
+      delayInMinutes: period,
+      periodInMinutes: period,
     });
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-async function downloadFromUnsafeUrl(url, filename) {
-  return new Promise((resolve) => {
-    chrome.downloads.download(
-      {
-        url: url,
-        filename: filename,
-        saveAs: false,
-      },
-      (id) => {
-        if (chrome.runtime.lastError)
-          resolve({ success: false, error: chrome.runtime.lastError.message });
-        else resolve({ success: true, filename });
-      },
-    );
+  }
+}
+
+async function isSignedIn(target) {
+  const cookies = await chrome.cookies.getAll({ domain: target.cookieDomain });
+  // Large ChatGPT session tokens are split into .0, .1, ... cookies
+  return cookies.some((cookie) => cookie.name.startsWith(target.sessionCookie));
+}
+
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error("Timed out waiting for the page to load"));
+    }, TAB_LOAD_TIMEOUT);
+
+    function listener(id, changeInfo) {
+      if (id !== tabId || changeInfo.status !== "complete") return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === "complete") listener(tabId, { status: "complete" });
+    }, reject);
+  });
+}
+
+// Ask the provider tab's content script to run a sync export. The script may
+// not be listening yet right after the page loads.
+async function requestBackup(tabId) {
+  for (let attempt = 0; attempt < CONTENT_SCRIPT_RETRIES; attempt++) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        action: "runScheduledBackup",
+      });
+      if (response && response.accepted) return;
+      throw new Error("The page did not accept the backup request");
+    } catch (e) {
+      if (attempt === CONTENT_SCRIPT_RETRIES - 1) throw e;
+      await delay(CONTENT_SCRIPT_RETRY_DELAY);
+    }
+  }
+}
+
+async function startBackup(provider, target) {
+  let [tab] = await chrome.tabs.query({ url: target.tabUrls });
+  if (!tab) {
+    tab = await chrome.tabs.create({ url: target.url, active: false });
+    const { [BACKUP_TABS_KEY]: opened = {} } =
+      await chrome.storage.session.get(BACKUP_TABS_KEY);
+    opened[tab.id] = provider;
+    await chrome.storage.session.set({ [BACKUP_TABS_KEY]: opened });
+  }
+
+  await waitForTabLoad(tab.id);
+  await requestBackup(tab.id);
+}
+
+// Start a sync export in a tab of every provider the user is signed in to.
+// Each tab reports back with scheduledBackupDone when its archive is ready.
+async function runScheduledBackup() {
+  for (const [provider, target] of Object.entries(BACKUP_PROVIDERS)) {
+    try {
+      if (!(await isSignedIn(target))) {
+        await self.ExportLog.append({
+          provider,
+          trigger: "scheduled",
+          mode: "sync",
+          status: "skipped",
+          error: "Not signed in",
+        });
+        continue;
+      }
+      await startBackup(provider, target);
+    } catch (e) {
+      console.error(`Scheduled backup failed for ${provider}:`, e);
+      await self.ExportLog.append({
+        provider,
+        trigger: "scheduled",
+        mode: "sync",
+        status: "error",
+        error: e.message,
+      });
+    }
+  }
+}
+
+// Archives are local blobs, so saving one is quick; a download stuck for
+// longer is given up, within the time a service worker event may last
+const DOWNLOAD_TIMEOUT = 4 * 60 * 1000;
+
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.downloads.cancel(downloadId).catch(() => {});
+      finish(new Error("The download did not finish in time"));
+    }, DOWNLOAD_TIMEOUT);
+
+    function finish(error) {
+      clearTimeout(timer);
+      chrome.downloads.onChanged.removeListener(listener);
+      if (error) reject(error);
+      else resolve();
+    }
+
+    function check(state, error) {
+      if (state === "complete") finish();
+      else if (state === "interrupted") {
+        finish(new Error(`Download interrupted (${error})`));
+      }
+    }
+
+    function listener(delta) {
+      if (delta.id !== downloadId || !delta.state) return;
+      check(delta.state.current, delta.error?.current);
+    }
+    chrome.downloads.onChanged.addListener(listener);
+
+    // It may have ended before the listener was added
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item) check(item.state, item.error);
+    }, finish);
   });
 }
+
+// Turn the configured subfolder into a relative downloads path
+function backupFolderPath(folder) {
+  return (folder || "")
+    .split(/[\\/]+/)
+    .map((segment) =>
+      segment
+        .replace(/[<>:"|?*\x00-\x1f]/g, "_")
+        .replace(/^[.\s]+|[.\s]+$/g, ""),
+    )
+    .filter(Boolean)
+    .join("/");
+}
+
+// Log the result of a provider tab's backup (its archive is saved already)
+// and close the tab if the backup opened it
+async function finishScheduledBackup(report, tabId) {
+  await self.ExportLog.append(report);
+
+  const { [BACKUP_TABS_KEY]: opened = {} } =
+    await chrome.storage.session.get(BACKUP_TABS_KEY);
+  if (tabId && opened[tabId]) {
+    delete opened[tabId];
+    await chrome.storage.session.set({ [BACKUP_TABS_KEY]: opened });
+    // The user may have closed it already
+    await chrome.tabs.remove(tabId).catch(() => {});
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BACKUP_ALARM) runScheduledBackup();
+  if (alarm.name === OFFSCREEN_CLOSE_ALARM) closeIdleOffscreen();
+});
+
+chrome.runtime.onInstalled.addListener(() => scheduleBackups());
+chrome.runtime.onStartup.addListener(() => scheduleBackups());
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.exportSettings) scheduleBackups();
+});
@@ -8,167 +8,101 @@ function getProvider() {
   return null;
 }
 
-function downloadBlob(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  chrome.runtime.sendMessage({
-    action: "directDownload",
-    url: url,
-    filename: filename,
-  });
-}
-
 // --- ZIP LOGIC ---
 
-async function createAndDownloadZip(data, statusCallback, authToken = null) {
-  if (!window.JSZip) {
-    alert(
-      "JSZip library is missing. Please ensure lib/jszip.min.js is loaded.",
-    );
-    return;
+// The archive is built and saved by the offscreen archive builder, so it
+// finishes even if this tab navigates away in the meantime
+async function createAndDownloadZip(
+  data,
+  statusCallback,
+  authToken = null,
+  settings = {},
+) {
+  const result = await window.ArchiveClient.exportConversation(
+    data,
+    { provider: getProvider(), authToken, settings },
+    statusCallback,
+  );
+
+  const problems = [];
+  if (result.mediaFailed.length > 0) {
+    problems.push(`${result.mediaFailed.length} media files failed`);
   }
-
-  const zip = new JSZip();
-  const safeTitle = (data.title || "Untitled Chat")
-    .replace(/[^a-z0-9_\-\s\.]/gi, "_")
-    .trim();
-  const folderName = safeTitle.substring(0, 64);
-
-  const root = zip.folder(folderName);
-
-  statusCallback("Adding conversation.json...");
-  root.file("conversation.json", JSON.stringify(data, null, 2));
-
-  const mediaItems = data.media || [];
-
-  if (mediaItems.length > 0) {
-    const mediaFolder = root.folder("media");
-    statusCallback(`Downloading ${mediaItems.length} media files...`);
-    const BATCH_SIZE = 5;
-
-    for (let i = 0; i < mediaItems.length; i += BATCH_SIZE) {
-      const batch = mediaItems.slice(i, i + BATCH_SIZE);
-      await Promise.all(
-        batch.map(async (item) => {
-          try {
-            statusCallback(`Fetching: ${item.filename}`);
-
-            let blob;
-            const forceBackground =
-              item.isRemote ||
-              item.url.includes("googleusercontent.com") ||
-              item.url.includes("anthropic.com");
-
-            // 1. Direct Fetch
-            if (!forceBackground && item.url.startsWith("http")) {
-              try {
-                const headers = {};
-                if (authToken && item.url.includes("chatgpt.com/backend-api")) {
-                  headers["Authorization"] = `Bearer ${authToken}`;
-                }
-
-                let response = await fetch(item.url, { headers });
-
-                // HANDLE REDIRECT / 2-STEP DOWNLOAD
-                // ChatGPT sometimes returns 200 OK with a JSON body pointing to the real file
-                const contentType = response.headers.get("content-type");
-                if (contentType && contentType.includes("application/json")) {
-                  // Clone to read text without consuming blob for later
-                  const clone = response.clone();
-                  const json = await clone.json();
-
-                  // Case A: Success with redirect URL
-                  if (json.status === "success" && json.download_url) {
-                    // Fetch the REAL url
-                    response = await fetch(json.download_url);
-                  }
-                  // Case B: Error (e.g. file_not_found)
-                  else if (json.status === "error" || json.detail) {
-                    throw new Error(
-                      `API Error: ${json.detail || json.error_code}`,
-                    );
-                  }
-                }
-
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                blob = await response.blob();
-              } catch (e) {
-                console.warn(
-                  `Direct fetch failed/rejected for ${item.filename}: ${e.message}`,
-                );
-              }
-            }
-
-            // 2. Background Fetch (Fallback)
-            if (!blob && item.url.startsWith("http")) {
-              const base64Data = await new Promise((resolve) => {
-                chrome.runtime.sendMessage(
-                  { action: "fetchBlobBase64", url: item.url },
-                  (response) => {
-                    resolve(
-                      response && response.success ? response.data : null,
-                    );
-                  },
-                );
-              });
-              if (base64Data) {
-                const res = await fetch(base64Data);
-                blob = await res.blob();
-              }
-            }
-
-            // 3. VALIDATION (Stop .bin errors)
-            if (blob) {
-              // Peek at file content if small/suspicious
-              if (blob.size < 2000) {
-                const text = await blob.text();
-                // Check for JSON error signature
-                if (
-                  text.startsWith("{") &&
-                  (text.includes('"error"') || text.includes('"detail"'))
-                ) {
-                  console.error(
-                    `Skipping ${item.filename}: File contains Error JSON.`,
-                  );
-                  return; // ABORT: Do not save this file
-                }
-              }
-
-              mediaFolder.file(item.filename, blob);
-            }
-          } catch (e) {
-            console.error(`Error processing ${item.filename}:`, e);
-          }
-        }),
-      );
-    }
-  } else {
-    statusCallback("No media found. Creating text-only archive...");
+  if (result.warnings.length > 0) {
+    problems.push(`${result.warnings.length} warnings`);
   }
-
-  statusCallback("Generating Zip file...");
-  const content = await zip.generateAsync({ type: "blob" });
-
-  statusCallback("Saving...");
-  downloadBlob(content, `${folderName}.zip`);
-  statusCallback("Done!");
+  // One conversation is never split into parts, however large
+  const maxPartSize = (Number(settings.maxPartSizeMb) || 0) * 1000 * 1000;
+  const oversize =
+    maxPartSize && result.archives[0].size > maxPartSize
+      ? ` The archive is larger than the ${settings.maxPartSizeMb} MB part size; a single conversation is not split.`
+      : "";
+  statusCallback(
+    problems.length > 0
+      ? `Done! ${problems.join(", ")} (see export-report.txt).${oversize}`
+      : `Done!${oversize}`,
+  );
 }
 
-async function handleExportClick() {
-  const provider = getProvider();
-
+function createStatusDisplay() {
   const statusDiv = document.createElement("div");
   statusDiv.style.cssText =
     "position:fixed;bottom:80px;right:20px;background:#1e1e1e;color:#e3e3e3;padding:15px;border-radius:8px;z-index:10000;font-family:sans-serif;box-shadow:0 4px 12px rgba(0,0,0,0.5);border:1px solid #444;font-size:14px;max-width:300px;";
-  statusDiv.textContent = "Initializing...";
+  const messageEl = document.createElement("div");
+  messageEl.textContent = "Initializing...";
+  // Rate limit waits and retries, cleared by the next progress update
+  const noteEl = document.createElement("div");
+  noteEl.style.cssText = "color:#fbbf24;font-size:12px;margin-top:6px;";
+  const actionsEl = document.createElement("div");
+  actionsEl.style.cssText = "display:flex;gap:8px;margin-top:10px;";
+  statusDiv.append(messageEl, noteEl, actionsEl);
   document.body.appendChild(statusDiv);
 
-  const updateStatus = (msg) => {
-    statusDiv.textContent = msg;
+  const stopWaitNotes = window.RequestScheduler.onWait((msg) => {
+    noteEl.textContent = msg;
+  });
+  const remove = () => {
+    stopWaitNotes();
+    if (statusDiv.parentNode) document.body.removeChild(statusDiv);
+  };
+
+  return {
+    element: statusDiv,
+    update: (msg) => {
+      messageEl.textContent = msg;
+      noteEl.textContent = "";
+    },
+    // Replace the action buttons; each action is {label, onClick}
+    setActions: (actions) => {
+      actionsEl.textContent = "";
+      actions.forEach((action) => {
+        const btn = document.createElement("button");
+        btn.textContent = action.label;
+        btn.style.cssText =
+          "background:#333;color:#e3e3e3;border:1px solid #555;border-radius:6px;padding:4px 10px;cursor:pointer;font-size:13px;";
+        btn.onclick = action.onClick;
+        actionsEl.appendChild(btn);
+      });
+    },
+    remove: remove,
+    removeAfter: (ms) => {
+      setTimeout(remove, ms);
+    },
   };
+}
+
+async function handleExportClick() {
+  const provider = getProvider();
+
+  const status = createStatusDisplay();
+  const updateStatus = status.update;
 
   try {
     let exportData = null;
     let authToken = null;
+    const settings = window.ExportSettings
+      ? await window.ExportSettings.load()
+      : {};
 
     if (provider === "gemini") {
       if (!window.GeminiHandler)
@@ -189,35 +123,297 @@ async function handleExportClick() {
     }
 
     if (exportData) {
-      await createAndDownloadZip(exportData, updateStatus, authToken);
+      await createAndDownloadZip(exportData, updateStatus, authToken, settings);
     }
 
-    setTimeout(() => {
-      if (statusDiv.parentNode) document.body.removeChild(statusDiv);
-    }, 3000);
+    status.removeAfter(3000);
   } catch (e) {
     console.error(e);
     updateStatus(`Error: ${e.message}`);
-    setTimeout(() => {
-      if (statusDiv.parentNode) document.body.removeChild(statusDiv);
-    }, 5000);
+    status.removeAfter(5000);
   }
 }
 
-function addFloatingButton(id, color, handler) {
+function exportLogEntry(provider, trigger, result) {
+  const failed = result.index.failedCount;
+  return {
+    provider: provider,
+    trigger: trigger,
+    mode: result.index.mode,
+    status: result.archives.length > 0 ? "saved" : "up-to-date",
+    filename: result.archives.length > 0 ? result.archives[0].filename : null,
+    parts: result.archives.length,
+    exported: result.index.conversationCount - failed,
+    added: result.changelog ? result.changelog.added.length : null,
+    updated: result.changelog ? result.changelog.updated.length : null,
+    failed: failed,
+  };
+}
+
+function describeFailures(failed) {
+  const titles = failed.slice(0, 5).map((entry) => `"${entry.title}"`);
+  const more = failed.length > 5 ? ` and ${failed.length - 5} more` : "";
+  return `Failed after retrying: ${titles.join(", ")}${more} (see index.html).`;
+}
+
+// Offer to resume or discard the interrupted export, if there is one
+async function offerResume(status, reason = "A bulk export was interrupted.") {
+  const provider = getProvider();
+  const interrupted = await window.BulkExporter.getInterrupted(provider);
+  if (!interrupted || bulkExportRunning) return false;
+
+  const target = status || createStatusDisplay();
+  target.update(
+    `${reason} ${interrupted.done} of ${interrupted.total} conversations are done.`,
+  );
+  target.setActions([
+    {
+      label: "Resume",
+      onClick: () => {
+        target.remove();
+        runBulkExport({ resume: true });
+      },
+    },
+    {
+      label: "Discard",
+      onClick: async () => {
+        target.remove();
+        await window.ExportCheckpoint.discard(provider);
+      },
+    },
+  ]);
+  return true;
+}
+
+// Only one bulk export (manual or scheduled) runs per tab
+let bulkExportRunning = false;
+
+async function runBulkExport(options) {
+  const provider = getProvider();
+  if (bulkExportRunning) {
+    alert("A bulk export is already running in this tab.");
+    return;
+  }
+  if (!options.resume) {
+    const prompt =
+      options.mode === "sync"
+        ? "Export conversations added or updated since the last export? Keep this tab open until it finishes."
+        : "Export every conversation in this account? This can take a long time for large accounts. Keep this tab open until it finishes.";
+    if (!confirm(prompt)) return;
+  }
+
+  const status = createStatusDisplay();
+  bulkExportRunning = true;
+
+  try {
+    const settings = window.ExportSettings
+      ? await window.ExportSettings.load()
+      : {};
+    const result = await window.BulkExporter.exportAll(
+      provider,
+      status.update,
+      settings,
+      options,
+    );
+    await window.ExportLog.append(exportLogEntry(provider, "manual", result));
+
+    if (result.archives.length === 0) {
+      status.update("Everything is up to date.");
+      status.removeAfter(5000);
+      return;
+    }
+
+    const exported = result.index.conversationCount - result.failed.length;
+    const counts = result.changelog
+      ? `${result.changelog.added.length} added, ${result.changelog.updated.length} updated`
+      : `${exported} conversations exported`;
+    const summary =
+      result.archives.length > 1
+        ? `${counts} in ${result.archives.length} parts`
+        : counts;
+    if (result.failed.length > 0) {
+      status.update(`Done! ${summary}. ${describeFailures(result.failed)}`);
+      status.setActions([{ label: "Close", onClick: status.remove }]);
+    } else {
+      status.update(`Done! ${summary}.`);
+      status.removeAfter(8000);
+    }
+  } catch (e) {
+    console.error(e);
+    status.update(`Error: ${e.message}`);
+    await window.ExportLog.append({
+      provider,
+      trigger: "manual",
+      mode: options.mode || null,
+      status: "error",
+      error: e.message,
+    });
+    bulkExportRunning = false;
+    if (!(await offerResume(status, `Error: ${e.message}`))) {
+      status.removeAfter(8000);
+    }
+  } finally {
+    bulkExportRunning = false;
+  }
+}
+
+// Started by the background script's backup alarm. The archive is saved into
+// the backup folder; the background script records the result.
+async function runScheduledBackup() {
+  const provider = getProvider();
+  // The request was already accepted, so report back either way: the
+  // background script logs the skip and closes a tab it opened
+  if (bulkExportRunning) {
+    chrome.runtime.sendMessage({
+      action: "scheduledBackupDone",
+      report: {
+        provider,
+        trigger: "scheduled",
+        mode: "sync",
+        status: "skipped",
+        error: "A bulk export was already running in the tab",
+      },
+    });
+    return;
+  }
+  bulkExportRunning = true;
+
+  const status = createStatusDisplay();
+  let report;
+
+  try {
+    const settings = await window.ExportSettings.load();
+    // Pick up an export a reload or error interrupted before starting anew
+    const interrupted = await window.BulkExporter.getInterrupted(provider);
+    const result = await window.BulkExporter.exportAll(
+      provider,
+      (msg) => status.update(`Scheduled backup: ${msg}`),
+      settings,
+      {
+        ...(interrupted ? { resume: true } : { mode: "sync" }),
+        destination: "backup",
+      },
+    );
+    report = exportLogEntry(provider, "scheduled", result);
+    status.update(
+      result.archives.length > 0
+        ? "Scheduled backup: Done!"
+        : "Scheduled backup: Everything is up to date.",
+    );
+  } catch (e) {
+    console.error(e);
+    status.update(`Scheduled backup failed: ${e.message}`);
+    report = {
+      provider,
+      trigger: "scheduled",
+      mode: "sync",
+      status: "error",
+      error: e.message,
+    };
+  }
+
+  chrome.runtime.sendMessage({ action: "scheduledBackupDone", report });
+  status.removeAfter(8000);
+  bulkExportRunning = false;
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === "runScheduledBackup") {
+    const supported =
+      window.BulkExporter && window.BulkExporter.supports(getProvider());
+    if (supported) runScheduledBackup();
+    sendResponse({ accepted: Boolean(supported) });
+  }
+  return false;
+});
+
+async function handleBulkExportClick(event) {
+  const provider = getProvider();
+  if (!window.BulkExporter || !window.BulkExporter.supports(provider)) return;
+
+  const existing = document.getElementById("bulk-export-menu");
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  let lastSync = null;
+  let interrupted = null;
+  try {
+    lastSync = await window.BulkExporter.getLastSync(provider);
+    interrupted = await window.BulkExporter.getInterrupted(provider);
+  } catch (e) {
+    console.warn("Could not read sync state:", e);
+  }
+
+  const anchor = event.currentTarget.getBoundingClientRect();
+  const menu = document.createElement("div");
+  menu.id = "bulk-export-menu";
+  menu.style.cssText = `position:fixed;bottom:80px;right:${window.innerWidth - anchor.right}px;background:#1e1e1e;border:1px solid #444;border-radius:8px;padding:6px;z-index:10000;font-family:sans-serif;box-shadow:0 4px 12px rgba(0,0,0,0.5);display:flex;flex-direction:column;gap:4px;`;
+
+  const addOption = (label, options) => {
+    const option = document.createElement("button");
+    option.textContent = label;
+    option.style.cssText =
+      "background:none;border:none;border-radius:6px;color:#e3e3e3;font-size:14px;padding:8px 12px;text-align:left;cursor:pointer;";
+    option.onclick = () => {
+      menu.remove();
+      runBulkExport(options);
+    };
+    menu.appendChild(option);
+  };
+
+  if (interrupted) {
+    addOption(
+      `Resume interrupted export (${interrupted.done} of ${interrupted.total} done)`,
+      { resume: true },
+    );
+  }
+  addOption("Export everything", { mode: "full" });
+  addOption(
+    lastSync
+      ? `Sync changes since ${new Date(lastSync).toLocaleString()}`
+      : "Sync changes (first sync exports everything)",
+    { mode: "sync" },
+  );
+  document.body.appendChild(menu);
+}
+
+const DOWNLOAD_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`;
+
+const ARCHIVE_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="21 8 21 21 3 21 3 8"></polyline><rect x="1" y="3" width="22" height="5"></rect><line x1="10" y1="12" x2="14" y2="12"></line></svg>`;
+
+function addFloatingButton(id, color, handler, options = {}) {
   if (document.getElementById(id)) return;
   const btn = document.createElement("button");
   btn.id = id;
-  btn.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`;
-  btn.style.cssText = `position: fixed; bottom: 20px; right: 20px; width: 50px; height: 50px; background-color: ${color}; color: white; border: none; border-radius: 50%; box-shadow: 0 4px 10px rgba(0,0,0,0.3); cursor: pointer; z-index: 9999; display: flex; align-items: center; justify-content: center; transition: transform 0.2s;`;
+  btn.title = options.title || "Export this conversation";
+  btn.innerHTML = options.icon || DOWNLOAD_ICON;
+  btn.style.cssText = `position: fixed; bottom: 20px; right: ${options.right || 20}px; width: 50px; height: 50px; background-color: ${color}; color: white; border: none; border-radius: 50%; box-shadow: 0 4px 10px rgba(0,0,0,0.3); cursor: pointer; z-index: 9999; display: flex; align-items: center; justify-content: center; transition: transform 0.2s;`;
   btn.onclick = handler;
   document.body.appendChild(btn);
 }
 
+function addBulkExportButton(id, color) {
+  addFloatingButton(id, color, handleBulkExportClick, {
+    right: 80,
+    title: "Export or sync all conversations",
+    icon: ARCHIVE_ICON,
+  });
+}
+
 function setupPageMonitor() {
   const provider = getProvider();
 
+  if (window.BulkExporter && window.BulkExporter.supports(provider)) {
+    offerResume().catch((e) =>
+      console.warn("Could not check for an interrupted export:", e),
+    );
+  }
+
   if (provider === "claude") {
+    // Bulk export works from any Claude page, not only inside a chat
+    addBulkExportButton("claude-bulk-export-btn", "#b65f3f");
     setInterval(() => {
       if (window.location.pathname.includes("/chat/")) {
         addFloatingButton("claude-export-btn", "#da7756", handleExportClick);
@@ -237,6 +433,7 @@ function setupPageMonitor() {
         document.querySelector("[data-message-id]")
       ) {
         addFloatingButton("chatgpt-export-btn", "#10a37f", handleExportClick);
+        addBulkExportButton("chatgpt-bulk-export-btn", "#0d8a6b");
       }
     }, 2000);
   }
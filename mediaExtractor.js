@@ -17,7 +17,8 @@ window.MediaExtractor.extractMediaReferences = function (conversationData) {
         type: "image",
         fileId: fileId,
         assetPointer: `sediment://${fileId}`,
-        renderedUrl: match[0],
+        // Signed storage URL (SAS token); MediaResolver tries it
+        sasUrl: match[0],
         isDalleImage: true,
         customName: `dalle_${fileId}`,
         messageId: "found_in_json",
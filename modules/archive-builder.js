@@ -0,0 +1,328 @@
+// Universal Chat Log Export - Archive Builder Module
+
+/**
+ * Archive Builder Module
+ * Writes one exported conversation (JSON, normalized JSON, Markdown, viewer,
+ * artifacts, media and an export report) into a folder of a Zip archive.
+ * Runs in the offscreen archive builder (offscreen.js) for single
+ * conversation and bulk exports.
+ */
+window.ArchiveBuilder = (() => {
+  // Media files fetched in parallel
+  const BATCH_SIZE = 5;
+
+  const REPORT_SCHEMA = "multi-model-conversation-export/report";
+
+  /**
+   * Turn a conversation title into a folder name
+   * @param {string} title - Conversation title
+   * @returns {string} Safe folder name
+   */
+  function safeFolderName(title) {
+    return (title || "Untitled Chat")
+      .replace(/[^a-z0-9_\-\s\.]/gi, "_")
+      .trim()
+      .substring(0, 64);
+  }
+
+  /**
+   * Detect the MIME type of a fetched file from its bytes, falling back to
+   * the type the server declared
+   * @param {Blob} blob - File contents
+   * @returns {Promise<string|null>} MIME type
+   */
+  async function detectMimeType(blob) {
+    const head = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+    return window.FileUtils.detectFileTypeFromBytes(head) || blob.type || null;
+  }
+
+  /**
+   * Give a media file the extension of its detected type. Used for files the
+   * handler could only name by guess, such as previews served without one.
+   * @param {Object} item - Media item; its filename is updated in place
+   * @param {string|null} mimeType - Detected MIME type
+   * @param {Set<string>} usedFilenames - Filenames taken in media/
+   */
+  function applyDetectedExtension(item, mimeType, usedFilenames) {
+    const known = mimeType && window.ExportConfig.fileTypes[mimeType];
+    if (!known) return;
+    const dot = item.filename.lastIndexOf(".");
+    const stem = dot > 0 ? item.filename.substring(0, dot) : item.filename;
+    const renamed = `${stem}.${known.ext}`;
+    if (renamed === item.filename) return;
+    usedFilenames.delete(item.filename);
+    item.filename = window.FileUtils.makeUniqueFilename(renamed, usedFilenames);
+  }
+
+  /**
+   * Conversation-level warnings for the export report
+   * @param {Object} data - Handler export data
+   * @returns {Array<string>} Warnings
+   */
+  function collectWarnings(data) {
+    const warnings = [...(data.warnings || [])];
+    if (data.historyComplete === false) {
+      warnings.push(
+        "Older messages may be missing: the page stopped loading history before reaching the start of the conversation.",
+      );
+    }
+    if (!data.messages || data.messages.length === 0) {
+      warnings.push("No messages were found.");
+    }
+    return warnings;
+  }
+
+  /**
+   * Render the export report as plain text
+   * @param {Object} report - Report object
+   * @returns {string} Text
+   */
+  function reportToText(report) {
+    const lines = [
+      `Export report: ${report.conversation.title}`,
+      `Source: ${report.conversation.source} (${report.conversation.url || "no URL"})`,
+      `Generated: ${report.generatedAt}`,
+      "",
+      `Media: ${report.summary.saved} of ${report.summary.total} saved, ${report.summary.failed} failed`,
+      "",
+    ];
+
+    if (report.warnings.length > 0) {
+      lines.push("Warnings:");
+      report.warnings.forEach((warning) => lines.push(`  - ${warning}`));
+      lines.push("");
+    }
+
+    report.media.forEach((entry) => {
+      if (entry.status === "saved") {
+        lines.push(
+          `[saved]  ${entry.filename} (${entry.mimeType || "unknown type"}, ${entry.size} bytes)`,
+        );
+      } else {
+        lines.push(`[FAILED] ${entry.filename}: ${entry.reason}`);
+      }
+      entry.attempts.forEach((attempt) => {
+        const status = attempt.status ? ` HTTP ${attempt.status}` : "";
+        // "HTTP 404" errors would only repeat the status
+        const error =
+          attempt.error && attempt.error !== `HTTP ${attempt.status}`
+            ? ` - ${attempt.error}`
+            : "";
+        lines.push(`           ${attempt.strategy}${status}${error}`);
+        if (attempt.url) lines.push(`             ${attempt.url}`);
+      });
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Write one conversation into an archive folder, with an export report
+   * (export-report.json and .txt) on every media file and any warnings
+   * @param {Object} root - Folder to write into (ZipStream or JSZip)
+   * @param {Object} data - Handler export data
+   * @param {Object} [options] - Build options
+   * @param {Function} [options.statusCallback] - Progress reporter
+   * @param {string|null} [options.authToken] - ChatGPT access token for media
+   * @param {string|null} [options.origin] - Origin of the page the export
+   *   came from, for ChatGPT's download endpoints
+   * @param {Object} [options.mediaSession] - Media session shared with other
+   *   conversations of the same export; see MediaResolver.createSession
+   * @param {Object} [options.settings] - Export settings
+   * @param {Object} [options.mediaCache] - Media fetched earlier, with async
+   *   get(filename) and put(filename, blob); see CheckpointStore.mediaCache
+   * @returns {Promise<{mediaTotal: number, mediaSaved: number, mediaFailed: Array<string>, report: Object}>}
+   *   Media counts, the filenames that could not be fetched and the report
+   */
+  async function addConversation(root, data, options = {}) {
+    const statusCallback = options.statusCallback || (() => {});
+    const mediaSession =
+      options.mediaSession ||
+      window.MediaResolver.createSession({
+        authToken: options.authToken,
+        origin: options.origin,
+      });
+    const settings = options.settings || {};
+    const mediaCache = options.mediaCache || null;
+
+    const artifacts = data.artifacts || [];
+
+    if (artifacts.length > 0) {
+      statusCallback(`Adding ${artifacts.length} artifacts...`);
+      const artifactsFolder = root.folder("artifacts");
+      artifacts.forEach((artifact) => {
+        artifact.versions.forEach((version) => {
+          artifactsFolder.file(version.filename, version.content);
+        });
+      });
+    }
+
+    const mediaItems = data.media || [];
+    const report = {
+      schema: REPORT_SCHEMA,
+      generatedAt: new Date().toISOString(),
+      conversation: {
+        id: data.id || null,
+        title: data.title || null,
+        source: data.source || null,
+        url: data.url || null,
+        extractionStrategy: data.extractionStrategy || null,
+        historyComplete:
+          data.historyComplete === undefined ? null : data.historyComplete,
+      },
+      warnings: collectWarnings(data),
+      summary: { total: mediaItems.length, saved: 0, failed: 0 },
+      media: [],
+    };
+    const result = {
+      mediaTotal: mediaItems.length,
+      mediaSaved: 0,
+      mediaFailed: [],
+      report: report,
+    };
+
+    // Written after the media so they link to the final media filenames,
+    // and only to files that were saved
+    const writeDocuments = () => {
+      statusCallback("Adding conversation.json...");
+      root.file("conversation.json", JSON.stringify(data, null, 2));
+
+      const saved = {
+        ...data,
+        media: mediaItems.map((item, i) =>
+          !report.media[i] || report.media[i].status === "saved"
+            ? item
+            : {
+                ...item,
+                filename: null,
+                originalName: item.originalName || item.filename,
+              },
+        ),
+      };
+      if (window.ConversationSchema) {
+        const normalized = window.ConversationSchema.normalize(saved, {
+          branchMode: settings.chatgptBranchMode,
+        });
+        root.file(
+          "conversation.normalized.json",
+          JSON.stringify(normalized, null, 2),
+        );
+
+        statusCallback("Adding conversation.md...");
+        root.file(
+          "conversation.md",
+          window.TranscriptBuilder.toMarkdown(normalized, data.source),
+        );
+
+        statusCallback("Adding index.html viewer...");
+        root.file(
+          "index.html",
+          window.HtmlViewer.build(normalized, data.source),
+        );
+      }
+    };
+
+    const writeReport = () => {
+      report.summary.saved = result.mediaSaved;
+      report.summary.failed = result.mediaFailed.length;
+      root.file("export-report.json", JSON.stringify(report, null, 2));
+      root.file("export-report.txt", reportToText(report));
+    };
+
+    if (mediaItems.length === 0) {
+      statusCallback("No media found. Creating text-only archive...");
+      writeDocuments();
+      writeReport();
+      return result;
+    }
+
+    const mediaFolder = root.folder("media");
+    const usedFilenames = new Set(mediaItems.map((item) => item.filename));
+    statusCallback(`Downloading ${mediaItems.length} media files...`);
+
+    // Report entries keep the handler's media order
+    report.media = mediaItems.map((item) => ({
+      filename: item.filename,
+      url: item.url || null,
+      status: "failed",
+      attempts: [],
+    }));
+
+    for (let i = 0; i < mediaItems.length; i += BATCH_SIZE) {
+      const batch = mediaItems.slice(i, i + BATCH_SIZE);
+      await Promise.all(
+        batch.map(async (item, offset) => {
+          const entry = report.media[i + offset];
+          try {
+            // Text-only attachments (e.g. Claude pasted documents)
+            if (typeof item.content === "string") {
+              mediaFolder.file(item.filename, item.content);
+              entry.attempts.push({ strategy: "inline", url: null });
+              Object.assign(entry, {
+                status: "saved",
+                mimeType: "text/plain",
+                size: new Blob([item.content]).size,
+              });
+              result.mediaSaved++;
+              return;
+            }
+
+            // Cached under the handler's name, before any renaming
+            const cacheKey = item.filename;
+            let blob = mediaCache ? await mediaCache.get(cacheKey) : null;
+            if (blob) {
+              entry.attempts.push({ strategy: "checkpoint", url: null });
+            } else {
+              statusCallback(`Fetching: ${item.filename}`);
+              blob = await window.MediaResolver.resolve(
+                item,
+                mediaSession,
+                entry.attempts,
+              );
+              if (blob && mediaCache) await mediaCache.put(cacheKey, blob);
+            }
+            if (blob) {
+              const mimeType = await detectMimeType(blob);
+              if (item.typeFromContent) {
+                applyDetectedExtension(item, mimeType, usedFilenames);
+              }
+              mediaFolder.file(item.filename, blob);
+              Object.assign(entry, {
+                filename: item.filename,
+                status: "saved",
+                mimeType: mimeType,
+                size: blob.size,
+              });
+              result.mediaSaved++;
+            } else {
+              const last = entry.attempts[entry.attempts.length - 1];
+              entry.reason =
+                (last && last.error) ||
+                "No download method applies to this URL";
+              result.mediaFailed.push(item.filename);
+            }
+          } catch (e) {
+            console.error(`Error processing ${item.filename}:`, e);
+            entry.reason = e.message;
+            result.mediaFailed.push(item.filename);
+          }
+        }),
+      );
+    }
+
+    writeDocuments();
+    writeReport();
+    return result;
+  }
+
+  // Public API
+  return {
+    safeFolderName,
+    addConversation,
+  };
+})();
+
+console.log(
+  "ArchiveBuilder module loaded and attached to window",
+  window.ArchiveBuilder,
+);
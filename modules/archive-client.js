@@ -0,0 +1,286 @@
+// Universal Chat Log Export - Archive Client Module
+
+/**
+ * Archive Client Module
+ * Hands export data to the offscreen archive builder through the background
+ * script. Archives are assembled, media fetched and downloads saved outside
+ * the page, so an export keeps going when the tab navigates away; the page
+ * only supplies what it alone can see (conversation data, rendered image
+ * URLs, blob: URLs). Progress and the result come back as messages while
+ * the tab is still there.
+ */
+window.ArchiveClient = (() => {
+  // While a build runs, ask this often whether the builder is still on it
+  const WATCH_INTERVAL = 15000;
+  // Give up on a build not heard of for this long, e.g. when its result
+  // message was lost
+  const STALL_TIMEOUT = 5 * 60 * 1000;
+
+  // Requests larger than this many characters are sent in pieces. Chrome
+  // caps messages at 64 MiB of serialized JSON; a piece stays below that
+  // even when every character needs escaping or takes three UTF-8 bytes.
+  const CHUNK_SIZE = 8 * 1024 * 1024;
+
+  // Requests in flight ({statusCallback, resolve, reject, heardAt}), by
+  // channel id
+  const channels = new Map();
+  let nextChannel = 1;
+
+  chrome.runtime.onMessage.addListener((request) => {
+    const pending = channels.get(request.channel);
+    if (!pending) return false;
+    pending.heardAt = Date.now();
+    if (request.action === "archiveProgress") {
+      pending.statusCallback(request.message);
+    } else if (request.action === "archiveDone") {
+      pending.resolve(request.response);
+    }
+    return false;
+  });
+
+  /**
+   * Fail a request whose build has gone away: the offscreen document closed
+   * or crashed, the extension was reloaded, or nothing was heard for too long
+   * @param {string} channel - Channel id
+   * @returns {Function} Stops watching
+   */
+  function watch(channel) {
+    const timer = setInterval(async () => {
+      let state = null;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: "archiveStatus",
+          channel,
+        });
+        state = response && response.state;
+      } catch (e) {
+        // The extension is gone; handled as an unknown build
+      }
+
+      const pending = channels.get(channel);
+      if (!pending) return;
+      if (state === "running") {
+        pending.heardAt = Date.now();
+      } else if (state !== "reported") {
+        pending.reject(
+          new Error("The archive builder stopped before the export finished"),
+        );
+      } else if (Date.now() - pending.heardAt > STALL_TIMEOUT) {
+        pending.reject(new Error("The archive builder stopped responding"));
+      }
+    }, WATCH_INTERVAL);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Send a message to the archive builder and check its answer
+   * @param {Object} message - Message
+   * @returns {Promise<Object>} Answer
+   */
+  async function send(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response) throw new Error("The archive builder did not respond");
+    if (!response.success) throw new Error(response.error);
+    return response;
+  }
+
+  /**
+   * Hand over operation parameters too large for one message in pieces,
+   * which the builder joins again
+   * @param {Object} params - Operation parameters
+   * @returns {Promise<Object>} Parameters to send: the same, or a reference
+   *   to the uploaded copy
+   */
+  async function upload(params) {
+    const json = JSON.stringify(params);
+    if (json.length <= CHUNK_SIZE) return params;
+
+    const uploadId = `${Date.now()}-${nextChannel++}`;
+    for (let i = 0; i * CHUNK_SIZE < json.length; i++) {
+      await send({
+        action: "archive",
+        op: "receive",
+        uploadId,
+        index: i,
+        chunk: json.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE),
+      });
+    }
+    return { upload: uploadId };
+  }
+
+  /**
+   * Send one request to the archive builder. The request message is only
+   * answered with whether the build started; the result arrives separately
+   * as archiveDone, once any archives are saved. Rejects if the build is
+   * lost on the way (see watch()).
+   * @param {string} op - Operation
+   * @param {Object} params - Operation parameters
+   * @param {Function} [statusCallback] - Progress reporter
+   * @returns {Promise<Object>} Result
+   */
+  async function call(op, params, statusCallback = () => {}) {
+    const channel = `${Date.now()}-${nextChannel++}`;
+    const done = new Promise((resolve, reject) => {
+      channels.set(channel, {
+        statusCallback,
+        resolve,
+        reject,
+        heardAt: Date.now(),
+      });
+    });
+    const stopWatching = watch(channel);
+    try {
+      await send({
+        action: "archive",
+        op,
+        channel,
+        ...(await upload(params)),
+      });
+
+      const response = await done;
+      if (!response.success) throw new Error(response.error);
+      return response;
+    } finally {
+      stopWatching();
+      channels.delete(channel);
+    }
+  }
+
+  /**
+   * Read a Blob as a data: URL
+   * @param {Blob} blob - Data
+   * @returns {Promise<string>} Data URL
+   */
+  function toDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Copy export data, reading blob: media URLs (which only resolve inside
+   * this page) into data: URLs the archive builder can fetch
+   * @param {Object} data - Handler export data
+   * @returns {Promise<Object>} Data safe to hand over
+   */
+  async function withPageMedia(data) {
+    const media = await Promise.all(
+      (data.media || []).map(async (item) => {
+        if (!item.url || !item.url.startsWith("blob:")) return item;
+        try {
+          const response = await fetch(item.url);
+          return { ...item, dataUrl: await toDataUrl(await response.blob()) };
+        } catch (e) {
+          // The builder records the failure in the export report
+          console.warn(`Could not read ${item.filename}: ${e.message}`);
+          return item;
+        }
+      }),
+    );
+    return { ...data, media };
+  }
+
+  /**
+   * Build and save the archive of one conversation
+   * @param {Object} data - Handler export data
+   * @param {Object} options - Export options
+   * @param {string} options.provider - Provider key
+   * @param {string|null} [options.authToken] - ChatGPT access token for media
+   * @param {Object} [options.settings] - Export settings
+   * @param {Function} [statusCallback] - Progress reporter
+   * @returns {Promise<{archives: Array<{filename: string, size: number}>, mediaTotal: number, mediaSaved: number, mediaFailed: Array<string>, warnings: Array<string>}>}
+   *   The saved archive and media results
+   */
+  async function exportConversation(data, options, statusCallback) {
+    statusCallback("Handing over to the archive builder...");
+    return call(
+      "exportConversation",
+      {
+        data: await withPageMedia(data),
+        provider: options.provider,
+        authToken: options.authToken || null,
+        // The builder's own origin is the extension's
+        origin: window.location.origin,
+        settings: options.settings || {},
+        sourceUrl: data.url || window.location.href,
+      },
+      statusCallback,
+    );
+  }
+
+  /**
+   * Build one conversation's folder of a bulk export and store it with the
+   * job's checkpoint
+   * @param {string} folder - Folder name
+   * @param {Object} data - Handler export data
+   * @param {Object} options - Build options
+   * @param {string} options.jobId - Checkpoint job id
+   * @param {string} options.conversationId - Conversation id
+   * @param {string|null} [options.authToken] - ChatGPT access token for media
+   * @param {Object} [options.settings] - Export settings
+   * @param {Function} [statusCallback] - Progress reporter
+   * @returns {Promise<{size: number, mediaTotal: number, mediaSaved: number, mediaFailed: Array<string>}>}
+   *   Bytes the folder takes in an archive (with its manifest lines) and
+   *   media results
+   */
+  async function stageConversation(folder, data, options, statusCallback) {
+    return call(
+      "stageConversation",
+      {
+        folder,
+        data: await withPageMedia(data),
+        jobId: options.jobId,
+        conversationId: options.conversationId,
+        authToken: options.authToken || null,
+        origin: window.location.origin,
+        settings: options.settings || {},
+      },
+      statusCallback,
+    );
+  }
+
+  /**
+   * Build and save the archives of a bulk export from a job's stored
+   * conversations: one, or several parts when the export is split
+   * @param {Object} options - Archive options
+   * @param {string} options.jobId - Checkpoint job id
+   * @param {Array<Object>} options.parts - Archives to write, in order. Each
+   *   has folder (top-level folder and archive name), conversations (the
+   *   conversation folders it holds) and files (extra files for the
+   *   top-level folder, such as the index, as {path, content})
+   * @param {Object} options.manifest - Provenance for ArchiveManifest.addTo
+   * @param {string} [options.destination] - "backup" to save into the
+   *   scheduled backup folder
+   * @param {Function} [statusCallback] - Progress reporter
+   * @returns {Promise<{archives: Array<{filename: string, size: number}>}>}
+   *   Saved archives, in part order
+   */
+  function exportCheckpoint(options, statusCallback) {
+    return call("exportCheckpoint", options, statusCallback);
+  }
+
+  /**
+   * Delete the stored files of a checkpoint job
+   * @param {string} jobId - Job id
+   * @returns {Promise<void>}
+   */
+  async function discardCheckpoint(jobId) {
+    await call("discardCheckpoint", { jobId });
+  }
+
+  // Public API
+  return {
+    exportConversation,
+    stageConversation,
+    exportCheckpoint,
+    discardCheckpoint,
+  };
+})();
+
+console.log(
+  "ArchiveClient module loaded and attached to window",
+  window.ArchiveClient,
+);
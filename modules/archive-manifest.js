@@ -0,0 +1,230 @@
+// Universal Chat Log Export - Archive Manifest Module
+
+/**
+ * Archive Manifest Module
+ * Writes manifest.json into an export folder: the SHA-256 and size of every
+ * file plus the provenance of the export (extension version, provider,
+ * source, time, extraction strategy, schema version). Also checks an archive
+ * against its manifest, for the verifier page (verify.html).
+ */
+window.ArchiveManifest = (() => {
+  const MANIFEST_SCHEMA = "multi-model-conversation-export/manifest";
+  const MANIFEST_FILENAME = "manifest.json";
+
+  /**
+   * SHA-256 of some bytes
+   * @param {Uint8Array} bytes - Data
+   * @returns {Promise<string>} Lowercase hex digest
+   */
+  async function sha256(bytes) {
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  /**
+   * Version of the installed extension
+   * @returns {string|null} Version from manifest.json
+   */
+  function extensionVersion() {
+    try {
+      return chrome.runtime.getManifest().version;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the manifest of an export folder from its files' checksums
+   * @param {Array<{path: string, size: number, sha256: string}>} entries -
+   *   Files, by path relative to the folder
+   * @param {Object} details - Provenance of the export
+   * @param {string} details.provider - Provider key ("chatgpt", "claude", "gemini")
+   * @param {string|null} details.sourceUrl - Page or site the export came from
+   * @param {string|null} details.conversationId - Conversation id (null for bulk exports)
+   * @param {string} details.exportedAt - ISO time of the export
+   * @param {string|null} details.extractionStrategy - "api" or "dom"
+   * @returns {Object} The manifest
+   */
+  function build(entries, details) {
+    const files = entries
+      .filter((entry) => entry.path !== MANIFEST_FILENAME)
+      .map((entry) => ({
+        path: entry.path,
+        size: entry.size,
+        sha256: entry.sha256,
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+    return {
+      schema: MANIFEST_SCHEMA,
+      algorithm: "SHA-256",
+      provenance: {
+        extensionVersion: extensionVersion(),
+        provider: details.provider,
+        sourceUrl: details.sourceUrl || null,
+        conversationId: details.conversationId || null,
+        exportedAt: details.exportedAt,
+        extractionStrategy: details.extractionStrategy || null,
+        schemaVersion: window.ConversationSchema
+          ? window.ConversationSchema.SCHEMA_VERSION
+          : null,
+      },
+      fileCount: files.length,
+      files: files,
+    };
+  }
+
+  /**
+   * Write manifest.json into an export folder. Folders of a ZipStream archive
+   * report the checksums taken while writing; JSZip folders are read back
+   * and hashed.
+   * @param {Object} folder - Export folder (JSZip or ZipStream)
+   * @param {Object} details - Provenance of the export; see build()
+   * @returns {Promise<Object>} The manifest
+   */
+  async function addTo(folder, details) {
+    let entries;
+    if (typeof folder.entries === "function") {
+      entries = await folder.entries();
+    } else {
+      const files = [];
+      folder.forEach((relativePath, file) => {
+        if (!file.dir) files.push({ path: relativePath, file });
+      });
+
+      entries = [];
+      for (const file of files) {
+        const bytes = await file.file.async("uint8array");
+        entries.push({
+          path: file.path,
+          size: bytes.length,
+          sha256: await sha256(bytes),
+        });
+      }
+    }
+
+    const manifest = build(entries, details);
+    folder.file(MANIFEST_FILENAME, JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  /**
+   * Check an archive against its manifest. Entries are read one at a time
+   * through the Zip central directory, so the archive is never loaded whole.
+   * @param {Blob} archive - Zip file, e.g. a File from an input element
+   * @param {Function} [progressCallback] - Receives (checked, total)
+   * @returns {Promise<{manifest: Object, verified: Array<string>, mismatched: Array<Object>, missing: Array<string>, extra: Array<string>, ok: boolean}>}
+   *   Files that match, differ ({path, reason}), are missing or are not listed
+   */
+  async function verify(archive, progressCallback = () => {}) {
+    const stored = new Map(
+      (await window.ZipStream.readDirectory(archive))
+        .filter((entry) => !entry.directory)
+        .map((entry) => [entry.path, entry]),
+    );
+
+    // The manifest sits in the export folder, usually the archive's only
+    // top-level folder
+    const candidates = [...stored.keys()]
+      .filter((path) => /(^|\/)manifest\.json$/.test(path))
+      .sort((a, b) => a.split("/").length - b.split("/").length);
+    if (candidates.length === 0) {
+      throw new Error("This archive has no manifest.json");
+    }
+
+    const manifestPath = candidates[0];
+    const base = manifestPath.slice(
+      0,
+      manifestPath.length - MANIFEST_FILENAME.length,
+    );
+
+    const manifestBytes = await window.ZipStream.readEntry(
+      archive,
+      stored.get(manifestPath),
+    );
+    let manifest;
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+    } catch (e) {
+      throw new Error(`manifest.json is not valid JSON: ${e.message}`);
+    }
+    if (manifest.schema !== MANIFEST_SCHEMA || !Array.isArray(manifest.files)) {
+      throw new Error("manifest.json is not an export manifest");
+    }
+
+    const result = {
+      manifest,
+      verified: [],
+      mismatched: [],
+      missing: [],
+      extra: [],
+      ok: false,
+    };
+    const listed = new Set();
+
+    for (let i = 0; i < manifest.files.length; i++) {
+      const entry = manifest.files[i];
+      listed.add(entry.path);
+      progressCallback(i, manifest.files.length);
+
+      const file = stored.get(base + entry.path);
+      if (!file) {
+        result.missing.push(entry.path);
+        continue;
+      }
+
+      // The central directory gives the size without reading the file
+      if (file.size !== entry.size) {
+        result.mismatched.push({
+          path: entry.path,
+          reason: `size ${file.size}, expected ${entry.size}`,
+        });
+        continue;
+      }
+
+      try {
+        const bytes = await window.ZipStream.readEntry(archive, file);
+        if ((await sha256(bytes)) !== entry.sha256) {
+          result.mismatched.push({
+            path: entry.path,
+            reason: "SHA-256 differs",
+          });
+        } else {
+          result.verified.push(entry.path);
+        }
+      } catch (e) {
+        result.mismatched.push({ path: entry.path, reason: e.message });
+      }
+    }
+    progressCallback(manifest.files.length, manifest.files.length);
+
+    stored.forEach((file, path) => {
+      if (!path.startsWith(base)) return;
+      const relativePath = path.slice(base.length);
+      if (relativePath !== MANIFEST_FILENAME && !listed.has(relativePath)) {
+        result.extra.push(relativePath);
+      }
+    });
+
+    result.ok =
+      result.mismatched.length === 0 &&
+      result.missing.length === 0 &&
+      result.extra.length === 0;
+    return result;
+  }
+
+  // Public API
+  return {
+    sha256,
+    build,
+    addTo,
+    verify,
+  };
+})();
+
+console.log(
+  "ArchiveManifest module loaded and attached to window",
+  window.ArchiveManifest,
+);
@@ -132,16 +132,19 @@ window.AuthManager = (() => {
       }
 
       // Direct fetch fallback
-      const response = await fetch(`https://${domain}/api/auth/session`, {
-        method: "GET",
-        credentials: "include",
-        headers: {
-          Accept: "*/*",
-          "Accept-Language": navigator.language,
-          "Cache-Control": "no-cache",
-          Pragma: "no-cache",
+      const response = await window.RequestScheduler.fetch(
+        `https://${domain}/api/auth/session`,
+        {
+          method: "GET",
+          credentials: "include",
+          headers: {
+            Accept: "*/*",
+            "Accept-Language": navigator.language,
+            "Cache-Control": "no-cache",
+            Pragma: "no-cache",
+          },
         },
-      });
+      );
 
       if (!response.ok) {
         throw new Error(`Authentication failed with status ${response.status}`);
@@ -0,0 +1,634 @@
+// Universal Chat Log Export - Bulk Exporter Module
+
+/**
+ * Bulk Exporter Module
+ * Exports every conversation in the account into one archive: one folder per
+ * conversation (built by ArchiveBuilder) plus a top-level index.json and
+ * index.html listing titles, dates and ids. In sync mode only conversations
+ * added or updated since the last export are included, with a changelog.
+ * With a maximum part size set, larger exports are split into numbered part
+ * archives, each listing its conversations in part-index.json.
+ * Progress is checkpointed through ExportCheckpoint so an export can resume.
+ * Conversations are fetched here, with the page's session; their folders are
+ * built and the archive assembled and saved by the offscreen archive builder
+ * (ArchiveClient).
+ */
+window.BulkExporter = (() => {
+  const INDEX_SCHEMA = "multi-model-conversation-export/index";
+  const CHANGELOG_SCHEMA = "multi-model-conversation-export/changelog";
+  const PART_INDEX_SCHEMA = "multi-model-conversation-export/part-index";
+
+  // Bytes per MB of the maxPartSizeMb setting
+  const MB = 1000 * 1000;
+  // Room kept in every part for part-index.json and the manifest header
+  const PART_RESERVE = 64 * 1024;
+  // Room per conversation for what splitting adds to the index files of
+  // part 1 (part numbers, links into other parts)
+  const PART_ENTRY_RESERVE = 200;
+
+  // Conversations requested per list page
+  const PAGE_SIZE = 100;
+
+  /**
+   * Provider adapters. Each lists the account's conversations as summaries
+   * ({id, title, createdAt, updatedAt}) and fetches one conversation as
+   * handler export data plus its folder name. getSyncScope names the account
+   * the sync state belongs to.
+   */
+  const PROVIDERS = {
+    chatgpt: {
+      label: "ChatGPT",
+
+      getSyncScope: async () => "chatgpt",
+
+      getAuthToken: () => window.AuthManager.getAccessToken(),
+
+      listConversations: async (statusCallback) => {
+        const summaries = [];
+        // Conversations move to the top of the list when updated, so offset
+        // paging can return one twice
+        const seen = new Set();
+
+        // The default list leaves out archived conversations
+        for (const archived of [false, true]) {
+          let offset = 0;
+
+          while (true) {
+            const page = await window.ConversationManager.listConversations(
+              offset,
+              PAGE_SIZE,
+              archived,
+            );
+            const items = page.items || [];
+            items
+              .filter((item) => !seen.has(item.id))
+              .forEach((item) => {
+                seen.add(item.id);
+                summaries.push({
+                  id: item.id,
+                  title: item.title || "Untitled Conversation",
+                  createdAt: window.ConversationSchema.toIsoDate(
+                    item.create_time,
+                  ),
+                  updatedAt: window.ConversationSchema.toIsoDate(
+                    item.update_time,
+                  ),
+                  archived: archived,
+                });
+              });
+
+            offset += items.length;
+            statusCallback(
+              `Listing ${archived ? "archived " : ""}conversations... (${summaries.length})`,
+            );
+            if (items.length === 0 || (page.total && offset >= page.total)) {
+              break;
+            }
+          }
+        }
+
+        return summaries;
+      },
+
+      fetchConversation: async (summary) => {
+        const raw = await window.ConversationManager.getConversation(
+          summary.id,
+        );
+        return {
+          data: window.ChatGPTHandler.buildExportData(raw, {
+            id: summary.id,
+            url: `https://${window.location.hostname}/c/${summary.id}`,
+          }),
+          folderName:
+            window.ConversationManager.createConversationFolderName(raw),
+        };
+      },
+    },
+
+    claude: {
+      label: "Claude",
+
+      getSyncScope: async () =>
+        `claude:${await window.ClaudeApi.getOrganizationId()}`,
+
+      listConversations: async (statusCallback) => {
+        const conversations = await window.ClaudeApi.listConversations();
+        statusCallback(`Listing conversations... (${conversations.length})`);
+
+        // Project names are optional; plans without projects return an error
+        let projects = [];
+        try {
+          projects = await window.ClaudeApi.listProjects();
+        } catch (e) {
+          console.warn("Could not list Claude projects:", e);
+        }
+        const projectNames = new Map(
+          projects.map((project) => [project.uuid, project.name]),
+        );
+
+        return conversations.map((conv) => {
+          const projectId =
+            conv.project_uuid || (conv.project && conv.project.uuid) || null;
+          return {
+            id: conv.uuid,
+            title: conv.name || "Untitled Conversation",
+            createdAt: window.ConversationSchema.toIsoDate(conv.created_at),
+            updatedAt: window.ConversationSchema.toIsoDate(conv.updated_at),
+            model: conv.model || null,
+            starred: Boolean(conv.is_starred),
+            project: projectId
+              ? {
+                  id: projectId,
+                  name:
+                    projectNames.get(projectId) ||
+                    (conv.project && conv.project.name) ||
+                    null,
+                }
+              : null,
+          };
+        });
+      },
+
+      fetchConversation: async (summary) => {
+        const raw = await window.ClaudeApi.getConversation(summary.id);
+        return {
+          data: window.ClaudeHandler.buildExportData(raw),
+          folderName: window.ConversationManager.createConversationFolderName({
+            title: raw.name || summary.title,
+            id: raw.uuid,
+            create_time: Date.parse(raw.created_at) / 1000,
+          }),
+        };
+      },
+    },
+  };
+
+  /**
+   * Whether bulk export is available for a provider
+   * @param {string} provider - Provider key from getProvider()
+   * @returns {boolean} True if supported
+   */
+  function supports(provider) {
+    return Boolean(PROVIDERS[provider]);
+  }
+
+  /**
+   * Time of the last bulk or sync export of the logged-in account
+   * @param {string} provider - Provider key from getProvider()
+   * @returns {Promise<string|null>} ISO time, or null if there was none
+   */
+  async function getLastSync(provider) {
+    const adapter = PROVIDERS[provider];
+    if (!adapter) return null;
+    const state = await window.SyncState.load(await adapter.getSyncScope());
+    return state.lastSyncAt;
+  }
+
+  /**
+   * Relative path from part 1 to a conversation's folder
+   * @param {Object} entry - Index entry
+   * @param {Array<Object>|undefined} parts - Parts of a split export
+   * @returns {string} Path
+   */
+  function entryPath(entry, parts) {
+    const folder = encodeURIComponent(entry.folder);
+    if (!parts || entry.part === 1) return folder;
+    return `../${encodeURIComponent(parts[entry.part - 1].folder)}/${folder}`;
+  }
+
+  /**
+   * Render the changelog of a sync export as Markdown
+   * @param {Object} changelog - Changelog object
+   * @param {string} label - Provider display name
+   * @param {Array<Object>} [parts] - Parts of a split export
+   * @returns {string} Markdown
+   */
+  function changelogToMarkdown(changelog, label, parts) {
+    const line = (entry) => {
+      const link = entry.folder
+        ? `[${entry.title}](${entryPath(entry, parts)}/conversation.md)`
+        : `${entry.title} (failed: ${entry.error})`;
+      return `- ${link} · updated ${entry.updatedAt || "unknown"} · \`${entry.id}\``;
+    };
+
+    const lines = [
+      `# ${label} sync ${changelog.syncedAt.slice(0, 10)}`,
+      "",
+      `Changes since ${changelog.since || "the first export"}.`,
+      "",
+      `## Added (${changelog.added.length})`,
+      "",
+      ...changelog.added.map(line),
+      "",
+      `## Updated (${changelog.updated.length})`,
+      "",
+      ...changelog.updated.map(line),
+      "",
+    ];
+    return lines.join("\n");
+  }
+
+  /**
+   * List the conversations to export and start a checkpointed job for them
+   * @param {string} provider - Provider key
+   * @param {Object} adapter - Provider adapter
+   * @param {string} mode - "full" or "sync"
+   * @param {Function} statusCallback - Progress reporter
+   * @returns {Promise<Object|null>} Job, or null if a sync finds no changes
+   */
+  async function startJob(provider, adapter, mode, statusCallback) {
+    statusCallback("Listing conversations...");
+    const listed = await adapter.listConversations(statusCallback);
+    if (listed.length === 0) {
+      throw new Error("No conversations found in this account");
+    }
+
+    const scope = await adapter.getSyncScope();
+    const state = await window.SyncState.load(scope);
+    const changes = window.SyncState.diff(state, listed);
+    const changeOf = new Map();
+    changes.added.forEach((summary) => changeOf.set(summary.id, "added"));
+    changes.updated.forEach((summary) => changeOf.set(summary.id, "updated"));
+
+    const selected =
+      mode === "sync" ? changes.added.concat(changes.updated) : listed;
+    const exportedAt = new Date().toISOString();
+
+    if (selected.length === 0) {
+      await window.SyncState.record(scope, [], exportedAt);
+      return null;
+    }
+
+    return window.ExportCheckpoint.create(provider, {
+      scope: scope,
+      mode: mode,
+      label: adapter.label,
+      archiveName: `${adapter.label}_${mode === "sync" ? "sync" : "export"}_${exportedAt.slice(0, 10)}`,
+      exportedAt: exportedAt,
+      since: state.lastSyncAt,
+      summaries: selected.map((summary) => ({
+        ...summary,
+        change: changeOf.get(summary.id) || null,
+      })),
+    });
+  }
+
+  /**
+   * Export conversations of a job one by one, checkpointing each
+   * @param {Object} job - Checkpoint job
+   * @param {Object} adapter - Provider adapter
+   * @param {Array<Object>} summaries - Conversations to export
+   * @param {Function} statusCallback - Progress reporter
+   * @param {Object} settings - Export settings
+   * @param {string} [label] - Progress prefix, e.g. "Retry"
+   * @returns {Promise<void>}
+   */
+  async function exportPass(
+    job,
+    adapter,
+    summaries,
+    statusCallback,
+    settings,
+    label = "",
+  ) {
+    // Fetched per pass so a retry picks up a refreshed session
+    const authToken = adapter.getAuthToken
+      ? await adapter.getAuthToken()
+      : null;
+    // Folders taken so far; names of conversations with the same title and
+    // date can clash, and the archive would keep only one of them
+    const usedFolders = new Set(
+      Object.values(job.done).map((done) => done.folder),
+    );
+
+    for (let i = 0; i < summaries.length; i++) {
+      const summary = summaries[i];
+      const progress = `${label ? `${label} ` : ""}[${i + 1}/${summaries.length}]`;
+      statusCallback(`${progress} Fetching "${summary.title}"...`);
+
+      try {
+        const { data, folderName } = await adapter.fetchConversation(summary);
+        const folder = window.FileUtils.makeUniqueFilename(
+          folderName,
+          usedFolders,
+        );
+        const result = await window.ArchiveClient.stageConversation(
+          folder,
+          data,
+          {
+            jobId: job.id,
+            conversationId: summary.id,
+            authToken,
+            settings,
+          },
+          (msg) => statusCallback(`${progress} ${msg}`),
+        );
+        await window.ExportCheckpoint.markDone(job, summary, {
+          folder: folder,
+          mediaCount: result.mediaSaved,
+          size: result.size,
+        });
+      } catch (e) {
+        console.error(`Bulk export failed for ${summary.id}:`, e);
+        await window.ExportCheckpoint.markFailed(job, summary, e.message);
+      }
+    }
+  }
+
+  /**
+   * Top-level index files of a bulk export: index.json and index.html, and
+   * for syncs the changelog
+   * @param {Object} index - Bulk export index
+   * @param {Object|null} changelog - Sync changelog
+   * @param {string} label - Provider display name
+   * @returns {Array<{path: string, content: string}>} Files
+   */
+  function indexFiles(index, changelog, label) {
+    const files = [
+      { path: "index.json", content: JSON.stringify(index, null, 2) },
+      {
+        path: "index.html",
+        content: window.HtmlViewer.buildIndex(index, label),
+      },
+    ];
+    if (changelog) {
+      files.push(
+        { path: "changelog.json", content: JSON.stringify(changelog, null, 2) },
+        {
+          path: "changelog.md",
+          content: changelogToMarkdown(changelog, label, index.parts),
+        },
+      );
+    }
+    return files;
+  }
+
+  /**
+   * Bytes the index files of a bulk export take
+   * @param {Object} index - Bulk export index
+   * @param {Object|null} changelog - Sync changelog
+   * @param {string} label - Provider display name
+   * @returns {number} Bytes
+   */
+  function indexFilesSize(index, changelog, label) {
+    return indexFiles(index, changelog, label).reduce(
+      (total, file) => total + new Blob([file.content]).size,
+      0,
+    );
+  }
+
+  /**
+   * Group exported conversations into parts of at most maxBytes, in index
+   * order. A conversation is never split: one larger than a part gets a part
+   * of its own.
+   * @param {Array<Object>} entries - Index entries of exported conversations
+   * @param {Object} sizes - Bytes each conversation's folder takes, by id
+   * @param {number} maxBytes - Largest part
+   * @param {number} firstReserve - Room part 1 needs for the index files
+   * @returns {Array<Array<Object>>} Entries of each part
+   */
+  function planParts(entries, sizes, maxBytes, firstReserve) {
+    const parts = [[]];
+    let used = PART_RESERVE + firstReserve;
+    entries.forEach((entry) => {
+      const size = sizes[entry.id] || 0;
+      if (parts[parts.length - 1].length > 0 && used + size > maxBytes) {
+        parts.push([]);
+        used = PART_RESERVE;
+      }
+      parts[parts.length - 1].push(entry);
+      used += size;
+    });
+    return parts;
+  }
+
+  /**
+   * Export the conversations of the logged-in account. Progress is
+   * checkpointed, so an interrupted export can be resumed; conversations that
+   * fail are retried once at the end.
+   * @param {string} provider - Provider key from getProvider()
+   * @param {Function} statusCallback - Progress reporter
+   * @param {Object} [settings] - Export settings
+   * @param {Object} [options] - Export options
+   * @param {string} [options.mode] - "full" (every conversation, default) or
+   *   "sync" (only those added or updated since the last export)
+   * @param {boolean} [options.resume] - Continue the interrupted export
+   *   instead of starting a new one
+   * @param {string} [options.destination] - "backup" to save the archive into
+   *   the scheduled backup folder
+   * @returns {Promise<{archives: Array<{filename: string, size: number}>, index: Object, changelog: Object|null, failed: Array<Object>}>}
+   *   The saved archives (several when the export is split into parts, none
+   *   when a sync finds no changes),
+   *   the index written into it, for syncs the changelog, and the
+   *   conversations that failed even when retried
+   */
+  async function exportAll(
+    provider,
+    statusCallback,
+    settings = {},
+    options = {},
+  ) {
+    const adapter = PROVIDERS[provider];
+    if (!adapter) {
+      throw new Error(`Bulk export is not supported on ${provider}`);
+    }
+
+    let job;
+    if (options.resume) {
+      job = await window.ExportCheckpoint.load(provider);
+      if (!job) throw new Error("There is no interrupted export to resume");
+    } else {
+      const mode = options.mode === "sync" ? "sync" : "full";
+      job = await startJob(provider, adapter, mode, statusCallback);
+    }
+
+    if (!job) {
+      statusCallback("Everything is up to date.");
+      const index = {
+        schema: INDEX_SCHEMA,
+        provider: provider,
+        mode: "sync",
+        exportedAt: new Date().toISOString(),
+        conversationCount: 0,
+        failedCount: 0,
+        conversations: [],
+      };
+      return { archives: [], index, changelog: null, failed: [] };
+    }
+
+    const pending = job.summaries.filter(
+      (summary) => !job.done[summary.id] && !(summary.id in job.failed),
+    );
+    await exportPass(job, adapter, pending, statusCallback, settings);
+
+    const failed = job.summaries.filter((summary) => summary.id in job.failed);
+    if (failed.length > 0) {
+      statusCallback(`Retrying ${failed.length} failed conversations...`);
+      await exportPass(job, adapter, failed, statusCallback, settings, "Retry");
+    }
+
+    // Folder sizes only serve to split the export into parts
+    const sizes = {};
+    const entries = job.summaries.map((summary) => {
+      const { change, ...entry } = summary;
+      if (!job.done[summary.id]) {
+        return { ...entry, folder: null, error: job.failed[summary.id] };
+      }
+      const { size, ...done } = job.done[summary.id];
+      sizes[summary.id] = size || 0;
+      return { ...entry, ...done };
+    });
+    const index = {
+      schema: INDEX_SCHEMA,
+      provider: provider,
+      mode: job.mode,
+      exportedAt: job.exportedAt,
+      conversationCount: entries.length,
+      failedCount: entries.filter((entry) => entry.error).length,
+      conversations: entries,
+    };
+
+    let changelog = null;
+    if (job.mode === "sync") {
+      const byChange = (change) =>
+        entries.filter((entry, i) => job.summaries[i].change === change);
+      changelog = {
+        schema: CHANGELOG_SCHEMA,
+        provider: provider,
+        since: job.since,
+        syncedAt: job.exportedAt,
+        added: byChange("added"),
+        updated: byChange("updated"),
+      };
+    }
+
+    const exported = entries.filter((entry) => !entry.error);
+    const maxBytes = (Number(settings.maxPartSizeMb) || 0) * MB;
+    const grouped = maxBytes
+      ? planParts(
+          exported,
+          sizes,
+          maxBytes,
+          indexFilesSize(index, changelog, job.label) +
+            PART_ENTRY_RESERVE * entries.length,
+        )
+      : [exported];
+
+    let parts;
+    if (grouped.length === 1) {
+      parts = [
+        {
+          folder: job.archiveName,
+          conversations: exported.map((entry) => entry.folder),
+          files: indexFiles(index, changelog, job.label),
+        },
+      ];
+    } else {
+      parts = grouped.map((group, i) => ({
+        part: i + 1,
+        folder: `${job.archiveName}.part${String(i + 1).padStart(2, "0")}`,
+        conversations: group.map((entry) => entry.folder),
+      }));
+      grouped.forEach((group, i) =>
+        group.forEach((entry) => {
+          entry.part = i + 1;
+        }),
+      );
+      entries
+        .filter((entry) => entry.error)
+        .forEach((entry) => {
+          entry.part = null;
+        });
+      index.parts = parts.map((part) => ({
+        part: part.part,
+        filename: `${part.folder}.zip`,
+        folder: part.folder,
+        conversationCount: part.conversations.length,
+      }));
+
+      parts.forEach((part, i) => {
+        const partIndex = {
+          schema: PART_INDEX_SCHEMA,
+          provider: provider,
+          mode: job.mode,
+          exportedAt: job.exportedAt,
+          part: part.part,
+          partCount: parts.length,
+          conversationCount: grouped[i].length,
+          conversations: grouped[i],
+        };
+        part.files = [
+          {
+            path: "part-index.json",
+            content: JSON.stringify(partIndex, null, 2),
+          },
+        ];
+      });
+      // The master index, linking into every part, travels in part 1
+      parts[0].files.push(...indexFiles(index, changelog, job.label));
+    }
+
+    const { archives } = await window.ArchiveClient.exportCheckpoint(
+      {
+        jobId: job.id,
+        parts: parts.map(({ folder, conversations, files }) => ({
+          folder,
+          conversations,
+          files,
+        })),
+        manifest: {
+          provider: provider,
+          sourceUrl: window.location.origin,
+          conversationId: null,
+          exportedAt: job.exportedAt,
+          // Bulk exports always read the provider API
+          extractionStrategy: "api",
+        },
+        destination: options.destination,
+      },
+      statusCallback,
+    );
+
+    // Failed conversations stay unrecorded so the next sync retries them
+    await window.SyncState.record(job.scope, exported, job.exportedAt);
+    await window.ExportCheckpoint.discard(provider);
+
+    return {
+      archives,
+      index,
+      changelog,
+      failed: entries.filter((entry) => entry.error),
+    };
+  }
+
+  /**
+   * Progress of the interrupted export of a provider, if any
+   * @param {string} provider - Provider key from getProvider()
+   * @returns {Promise<{mode: string, done: number, failed: number, total: number, updatedAt: string}|null>}
+   *   Counts, or null if there is nothing to resume
+   */
+  async function getInterrupted(provider) {
+    const job = await window.ExportCheckpoint.load(provider);
+    if (!job) return null;
+    return {
+      mode: job.mode,
+      done: Object.keys(job.done).length,
+      failed: Object.keys(job.failed).length,
+      total: job.summaries.length,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  // Public API
+  return {
+    supports,
+    getLastSync,
+    getInterrupted,
+    exportAll,
+  };
+})();
+
+console.log(
+  "BulkExporter module loaded and attached to window",
+  window.BulkExporter,
+);
@@ -10,6 +10,17 @@ window.ChatGPTHandler = {
     const convId = window.ConversationManager.getConversationId();
     const data = await window.ConversationManager.getConversation(convId);
 
+    statusCallback("Analyzing media references...");
+    return this.buildExportData(data, {
+      id: convId,
+      url: window.location.href,
+      // Only the open conversation has its images rendered in the page
+      useRenderedImages: true,
+    });
+  },
+
+  // Convert the API conversation JSON into the handler export format
+  buildExportData: function (data, options = {}) {
     // 2. Build Filename Map (For User Uploads)
     const fileIdToName = new Map();
     if (data.mapping) {
@@ -30,37 +41,41 @@ window.ChatGPTHandler = {
     }
 
     // 3. Extract Media References (Images Only)
-    statusCallback("Analyzing media references...");
     let refs = window.MediaExtractor.extractMediaReferences(data);
 
     // 4. Find Rendered Images
-    refs = window.MediaExtractor.findRenderedImages(refs);
+    if (options.useRenderedImages) {
+      refs = window.MediaExtractor.findRenderedImages(refs);
+    }
 
     const media = [];
     const usedFilenames = new Set();
+    let skippedAudio = 0;
+    let unresolved = 0;
 
     refs.forEach((ref, index) => {
       // SKIP AUDIO entirely to prevent errors
-      if (ref.type === "audio") return;
-
-      let url = ref.renderedUrl || ref.download_url || ref.assetPointer;
+      if (ref.type === "audio") {
+        skippedAudio++;
+        return;
+      }
 
-      // Handle file-service (User Uploads)
-      if (url && url.includes("file-service://")) {
-        const id = url.split("file-service://")[1];
+      // MediaResolver picks the download method; url is the best known
+      // link for the report and the normalized JSON
+      const pointer = ref.assetPointer || null;
+      const renderedUrl = ref.renderedUrl || null;
+      const sasUrl = ref.sasUrl || ref.download_url || null;
+      let url = renderedUrl || sasUrl;
+      if (!url && pointer) {
+        const id = pointer.replace(/^(sediment|file-service):\/\//, "");
         url = `https://chatgpt.com/backend-api/files/${id}/download`;
       }
 
-      // Handle DALL-E / Sediment Images (but only if we have a valid http link)
-      if (url && url.startsWith("sediment://")) {
-        // If we didn't find a renderedUrl in step 4, skip it.
-        // We don't want to try fetching "sediment://" directly.
-        if (!ref.renderedUrl) return;
-        url = ref.renderedUrl;
+      if (!url) {
+        unresolved++;
+        return;
       }
 
-      if (!url || !url.startsWith("http")) return;
-
       // Extensions
       let ext = "jpg"; // Default
       if (ref.mime_type) {
@@ -108,37 +123,46 @@ window.ChatGPTHandler = {
         if (!baseName.includes(".")) baseName += "." + ext;
       }
 
-      baseName = baseName.replace(/[^a-z0-9_\-\.\s\(\)]/gi, "_");
-
-      // De-dupe
-      let counter = 1;
-      let finalName = baseName;
-      while (usedFilenames.has(finalName)) {
-        const lastDot = baseName.lastIndexOf(".");
-        if (lastDot > -1) {
-          finalName =
-            baseName.substring(0, lastDot) +
-            `_${counter}` +
-            baseName.substring(lastDot);
-        } else {
-          finalName = `${baseName}_${counter}`;
-        }
-        counter++;
-      }
-      usedFilenames.add(finalName);
+      const finalName = window.FileUtils.makeUniqueFilename(
+        baseName,
+        usedFilenames,
+      );
 
       media.push({
         url: url,
+        renderedUrl: renderedUrl,
+        sasUrl: sasUrl,
+        assetPointer: pointer,
+        conversationId: data.conversation_id || options.id || null,
         filename: finalName,
         originalRef: ref,
       });
     });
 
+    const warnings = [];
+    if (skippedAudio > 0) {
+      warnings.push(
+        `${skippedAudio} audio clips were skipped (audio export is not supported).`,
+      );
+    }
+    if (unresolved > 0) {
+      warnings.push(
+        `${unresolved} media references could not be resolved to a download URL and were left out.`,
+      );
+    }
+
     return {
+      id: data.conversation_id || options.id || null,
       title: data.title || "ChatGPT Export",
       source: "ChatGPT",
+      url: options.url || null,
+      createTime: data.create_time || null,
+      updateTime: data.update_time || null,
+      currentNode: data.current_node || null,
+      extractionStrategy: "api",
       messages: data.mapping,
       media: media,
+      warnings: warnings,
     };
   },
 };
@@ -0,0 +1,195 @@
+// Universal Chat Log Export - Checkpoint Store Module
+
+/**
+ * Checkpoint Store Module
+ * Keeps the files of an interrupted bulk export in the extension's IndexedDB:
+ * the folders of finished conversations and the media fetched so far for the
+ * conversation in progress. Runs in the offscreen document, next to the
+ * archive builder; the job itself lives in chrome.storage (ExportCheckpoint).
+ */
+window.CheckpointStore = (() => {
+  const DB_NAME = "conversation-export-checkpoints";
+  const DB_VERSION = 1;
+
+  // Finished conversation files, keyed by [jobId, archive path]
+  const FILES_STORE = "files";
+  // Media fetched for conversations still in progress, keyed by
+  // [jobId, "<conversation id>/<filename>"]
+  const MEDIA_STORE = "media";
+
+  let dbPromise = null;
+
+  /**
+   * Open (and create on first use) the checkpoint database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        [FILES_STORE, MEDIA_STORE].forEach((name) => {
+          const store = db.createObjectStore(name, {
+            keyPath: ["jobId", "path"],
+          });
+          store.createIndex("jobId", "jobId");
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Run one IndexedDB request in its own transaction
+   * @param {string} storeName - Object store
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} makeRequest - Receives the store, returns a request
+   * @returns {Promise<*>} Request result
+   */
+  async function run(storeName, mode, makeRequest) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = makeRequest(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Delete every record of a job from one store
+   * @param {string} storeName - Object store
+   * @param {string} jobId - Job id
+   * @param {string} [pathPrefix] - Only delete paths starting with this
+   * @returns {Promise<void>}
+   */
+  async function deleteRecords(storeName, jobId, pathPrefix = "") {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      const cursorRequest = tx
+        .objectStore(storeName)
+        .index("jobId")
+        .openCursor(IDBKeyRange.only(jobId));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (cursor.value.path.startsWith(pathPrefix)) cursor.delete();
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Store the files of a finished conversation and drop its cached media
+   * @param {string} jobId - Job id
+   * @param {string} conversationId - Conversation id
+   * @param {JSZip} staging - Archive holding only this conversation's folder
+   * @returns {Promise<Array<{path: string, size: number}>>} Stored files
+   */
+  async function saveFiles(jobId, conversationId, staging) {
+    const files = [];
+    for (const file of Object.values(staging.files)) {
+      if (file.dir) continue;
+      files.push({
+        jobId: jobId,
+        path: file.name,
+        data: await file.async("uint8array"),
+      });
+    }
+
+    const db = await openDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(FILES_STORE, "readwrite");
+      const store = tx.objectStore(FILES_STORE);
+      files.forEach((file) => store.put(file));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    await deleteRecords(MEDIA_STORE, jobId, `${conversationId}/`);
+    return files.map((file) => ({ path: file.path, size: file.data.length }));
+  }
+
+  /**
+   * Media cache for one conversation of a job, so a resumed conversation does
+   * not fetch its media again (see ArchiveBuilder.addConversation)
+   * @param {string} jobId - Job id
+   * @param {string} conversationId - Conversation id
+   * @returns {{get: Function, put: Function}} Cache keyed by media filename
+   */
+  function mediaCache(jobId, conversationId) {
+    const path = (filename) => `${conversationId}/${filename}`;
+    return {
+      get: async (filename) => {
+        const record = await run(MEDIA_STORE, "readonly", (store) =>
+          store.get([jobId, path(filename)]),
+        );
+        return record ? record.data : null;
+      },
+      put: (filename, blob) =>
+        run(MEDIA_STORE, "readwrite", (store) =>
+          store.put({ jobId: jobId, path: path(filename), data: blob }),
+        ),
+    };
+  }
+
+  /**
+   * Archive paths of every stored file of a job
+   * @param {string} jobId - Job id
+   * @returns {Promise<Array<string>>} Paths
+   */
+  async function listFiles(jobId) {
+    const keys = await run(FILES_STORE, "readonly", (store) =>
+      store.index("jobId").getAllKeys(IDBKeyRange.only(jobId)),
+    );
+    return keys.map(([, path]) => path);
+  }
+
+  /**
+   * Read one stored file. Files are read one at a time so a large job is
+   * never loaded whole.
+   * @param {string} jobId - Job id
+   * @param {string} path - Archive path from listFiles()
+   * @returns {Promise<Uint8Array|null>} Content, or null if it is gone
+   */
+  async function readFile(jobId, path) {
+    const record = await run(FILES_STORE, "readonly", (store) =>
+      store.get([jobId, path]),
+    );
+    return record ? record.data : null;
+  }
+
+  /**
+   * Delete every stored file of a job
+   * @param {string} jobId - Job id
+   * @returns {Promise<void>}
+   */
+  async function discard(jobId) {
+    await deleteRecords(FILES_STORE, jobId);
+    await deleteRecords(MEDIA_STORE, jobId);
+  }
+
+  // Public API
+  return {
+    saveFiles,
+    mediaCache,
+    listFiles,
+    readFile,
+    discard,
+  };
+})();
+
+console.log(
+  "CheckpointStore module loaded and attached to window",
+  window.CheckpointStore,
+);
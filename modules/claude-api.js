@@ -0,0 +1,165 @@
+// Universal Chat Log Export - Claude API Module
+
+/**
+ * Claude API Module
+ * Reads conversations through claude.ai's own JSON API using the logged-in
+ * session cookies, like ConversationManager does for ChatGPT.
+ */
+window.ClaudeApi = (() => {
+  // Organization id cache (one per page load)
+  let cachedOrganizationId = null;
+
+  // Conversations requested per list page
+  const PAGE_SIZE = 100;
+
+  /**
+   * Base URL of the Claude web app the page is running on
+   * @returns {string} Origin, e.g. https://claude.ai
+   */
+  function getBaseUrl() {
+    return `https://${window.location.hostname}`;
+  }
+
+  /**
+   * Fetch JSON from the Claude API with the session cookies
+   * @param {string} path - API path starting with /api/
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async function fetchJson(path) {
+    const response = await window.RequestScheduler.fetch(
+      `${getBaseUrl()}${path}`,
+      {
+        method: "GET",
+        credentials: "include",
+        headers: {
+          Accept: "application/json",
+          "Cache-Control": "no-cache",
+        },
+      },
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `Claude API request failed with status ${response.status}`,
+      );
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get the conversation ID from the URL
+   * @returns {string|null} Conversation UUID or null if not on a chat page
+   */
+  function getConversationId() {
+    const match = window.location.pathname.match(/\/chat\/([\w-]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the active organization id. Uses the lastActiveOrg cookie the web app
+   * sets, falling back to the first chat-capable organization.
+   * @returns {Promise<string>} Organization UUID
+   */
+  async function getOrganizationId() {
+    if (cachedOrganizationId) return cachedOrganizationId;
+
+    const cookieMatch = document.cookie.match(
+      /(?:^|;\s*)lastActiveOrg=([\w-]+)/,
+    );
+    if (cookieMatch) {
+      cachedOrganizationId = cookieMatch[1];
+      return cachedOrganizationId;
+    }
+
+    const organizations = await fetchJson("/api/organizations");
+    if (!Array.isArray(organizations) || organizations.length === 0) {
+      throw new Error("No Claude organization found for this session");
+    }
+
+    const chatOrg =
+      organizations.find(
+        (org) =>
+          Array.isArray(org.capabilities) && org.capabilities.includes("chat"),
+      ) || organizations[0];
+
+    cachedOrganizationId = chatOrg.uuid;
+    return cachedOrganizationId;
+  }
+
+  /**
+   * Fetch the complete conversation, including every branch, attachment and
+   * file reference
+   * @param {string} conversationId - Conversation UUID
+   * @returns {Promise<Object>} Conversation JSON
+   */
+  async function getConversation(conversationId) {
+    ExportConfig.log(`Fetching Claude conversation ${conversationId}`);
+
+    const orgId = await getOrganizationId();
+    const params = "tree=True&rendering_mode=messages&render_all_tools=true";
+    const data = await fetchJson(
+      `/api/organizations/${orgId}/chat_conversations/${conversationId}?${params}`,
+    );
+
+    if (!data || !Array.isArray(data.chat_messages)) {
+      throw new Error("Unexpected Claude conversation format");
+    }
+
+    ExportConfig.log("Successfully fetched Claude conversation");
+    return data;
+  }
+
+  /**
+   * List every conversation in the active organization, most recent first
+   * @returns {Promise<Array<Object>>} Conversation summaries (uuid, name,
+   *   model, created_at, updated_at, is_starred, project_uuid)
+   */
+  async function listConversations() {
+    const orgId = await getOrganizationId();
+    const conversations = [];
+    const seen = new Set();
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await fetchJson(
+        `/api/organizations/${orgId}/chat_conversations?limit=${PAGE_SIZE}&offset=${offset}`,
+      );
+      if (!Array.isArray(page)) {
+        throw new Error("Unexpected Claude conversation list format");
+      }
+
+      // Older API versions ignore paging and return everything at once
+      const fresh = page.filter((conv) => !seen.has(conv.uuid));
+      fresh.forEach((conv) => {
+        seen.add(conv.uuid);
+        conversations.push(conv);
+      });
+      if (page.length < PAGE_SIZE || fresh.length === 0) break;
+    }
+
+    ExportConfig.log(`Found ${conversations.length} Claude conversations`);
+    return conversations;
+  }
+
+  /**
+   * List the projects in the active organization
+   * @returns {Promise<Array<Object>>} Projects (uuid, name)
+   */
+  async function listProjects() {
+    const orgId = await getOrganizationId();
+    const projects = await fetchJson(`/api/organizations/${orgId}/projects`);
+    return Array.isArray(projects) ? projects : [];
+  }
+
+  // Public API
+  return {
+    getBaseUrl,
+    getConversationId,
+    getOrganizationId,
+    getConversation,
+    listConversations,
+    listProjects,
+  };
+})();
+
+console.log("ClaudeApi module loaded and attached to window", window.ClaudeApi);
@@ -0,0 +1,197 @@
+// Universal Chat Log Export - Claude Artifacts Module
+
+/**
+ * Claude Artifacts Module
+ * Rebuilds Claude artifacts (code, HTML pages, SVGs, Mermaid diagrams,
+ * documents) from the "artifacts" tool calls in the API conversation JSON, so
+ * each one can be saved as a standalone file under artifacts/.
+ */
+window.ClaudeArtifacts = (() => {
+  // Tool name Claude uses to create and edit artifacts
+  const TOOL_NAME = "artifacts";
+
+  // File extension by artifact MIME type
+  const TYPE_EXTENSIONS = {
+    "text/html": "html",
+    "image/svg+xml": "svg",
+    "application/vnd.ant.mermaid": "mmd",
+    "text/markdown": "md",
+    "application/vnd.ant.react": "jsx",
+  };
+
+  // File extension by language for "application/vnd.ant.code" artifacts
+  const LANGUAGE_EXTENSIONS = {
+    javascript: "js",
+    typescript: "ts",
+    jsx: "jsx",
+    tsx: "tsx",
+    python: "py",
+    java: "java",
+    c: "c",
+    cpp: "cpp",
+    "c++": "cpp",
+    csharp: "cs",
+    go: "go",
+    rust: "rs",
+    ruby: "rb",
+    php: "php",
+    swift: "swift",
+    kotlin: "kt",
+    shell: "sh",
+    bash: "sh",
+    sql: "sql",
+    html: "html",
+    css: "css",
+    json: "json",
+    yaml: "yaml",
+    xml: "xml",
+    markdown: "md",
+  };
+
+  /**
+   * Pick the file extension for an artifact
+   * @param {string|null} type - Artifact MIME type
+   * @param {string|null} language - Language of code artifacts
+   * @returns {string} Extension without the dot
+   */
+  function getExtension(type, language) {
+    if (TYPE_EXTENSIONS[type]) return TYPE_EXTENSIONS[type];
+    const lang = (language || "").toLowerCase();
+    if (LANGUAGE_EXTENSIONS[lang]) return LANGUAGE_EXTENSIONS[lang];
+    return /^[a-z0-9]{1,5}$/.test(lang) ? lang : "txt";
+  }
+
+  /**
+   * Turn an artifact title into a filename stem
+   * @param {string} title - Artifact title
+   * @returns {string} Lowercase, dash-separated stem
+   */
+  function slugify(title) {
+    const slug = (title || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 64);
+    return slug || "artifact";
+  }
+
+  /**
+   * Apply one tool call to the previous artifact content
+   * @param {string|null} previous - Content of the latest version, if any
+   * @param {Object} input - Tool call input
+   * @returns {string} New content
+   */
+  function applyCommand(previous, input) {
+    if (input.command === "update" && previous !== null) {
+      const oldStr = input.old_str || "";
+      const index = oldStr ? previous.indexOf(oldStr) : -1;
+      if (index === -1) {
+        console.warn(`Artifact ${input.id}: update target not found`);
+        return previous;
+      }
+      return (
+        previous.substring(0, index) +
+        (input.new_str || "") +
+        previous.substring(index + oldStr.length)
+      );
+    }
+    // "create" and "rewrite" carry the full content
+    return input.content || "";
+  }
+
+  /**
+   * Collect every artifact and its versions from a thread of Claude API
+   * messages. Latest versions are named "<title>.<ext>", earlier ones
+   * "<title>.v<N>.<ext>".
+   * @param {Array} chatMessages - Claude API messages in thread order
+   * @returns {{artifacts: Array<Object>, parts: Map<Object, Object>}}
+   *   Artifacts with their versions, and the artifact content part to use for
+   *   each tool_use block
+   */
+  function collect(chatMessages) {
+    const byId = new Map();
+    const artifacts = [];
+    const parts = new Map();
+
+    chatMessages.forEach((msg) => {
+      const blocks = Array.isArray(msg.content) ? msg.content : [];
+      blocks.forEach((block) => {
+        if (block.type !== "tool_use" || block.name !== TOOL_NAME) return;
+        const input = block.input || {};
+
+        const id = input.id || `artifact_${artifacts.length + 1}`;
+        let artifact = byId.get(id);
+        if (!artifact) {
+          artifact = {
+            id,
+            title: id,
+            type: null,
+            language: null,
+            versions: [],
+          };
+          byId.set(id, artifact);
+          artifacts.push(artifact);
+        }
+        if (input.title) artifact.title = input.title;
+        if (input.type) artifact.type = input.type;
+        if (input.language) artifact.language = input.language;
+
+        const latest = artifact.versions[artifact.versions.length - 1];
+        const version = {
+          version: artifact.versions.length + 1,
+          command: input.command || "create",
+          messageId: msg.uuid,
+          content: applyCommand(latest ? latest.content : null, input),
+        };
+        artifact.versions.push(version);
+
+        parts.set(block, {
+          type: "artifact",
+          artifactId: id,
+          version: version.version,
+        });
+      });
+    });
+
+    // Name the files once every version is known
+    const usedFilenames = new Set();
+    artifacts.forEach((artifact) => {
+      const ext = getExtension(artifact.type, artifact.language);
+      artifact.filename = window.FileUtils.makeUniqueFilename(
+        `${slugify(artifact.title)}.${ext}`,
+        usedFilenames,
+      );
+      const stem = artifact.filename.slice(0, -(ext.length + 1));
+
+      artifact.versions.forEach((version, index) => {
+        version.filename =
+          index === artifact.versions.length - 1
+            ? artifact.filename
+            : window.FileUtils.makeUniqueFilename(
+                `${stem}.v${version.version}.${ext}`,
+                usedFilenames,
+              );
+      });
+    });
+
+    parts.forEach((part) => {
+      const artifact = byId.get(part.artifactId);
+      part.title = artifact.title;
+      part.artifactType = artifact.type;
+      part.filename = artifact.versions[part.version - 1].filename;
+    });
+
+    return { artifacts, parts };
+  }
+
+  // Public API
+  return {
+    getExtension,
+    collect,
+  };
+})();
+
+console.log(
+  "ClaudeArtifacts module loaded and attached to window",
+  window.ClaudeArtifacts,
+);
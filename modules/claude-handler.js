@@ -1,10 +1,205 @@
-// Claude Export Handler - Text-First & Stable
+// Claude Export Handler - API first, DOM scraping as fallback
 window.ClaudeHandler = {
+  // Parent id the Claude API uses for the first message of a conversation
+  ROOT_PARENT_ID: "00000000-0000-4000-8000-000000000000",
+
+  // Attachment names that can hold their extracted text as-is
+  TEXT_FILE_PATTERN:
+    /\.(txt|md|markdown|csv|tsv|json|xml|html?|css|js|ts|py|java|c|cpp|h|rb|go|rs|sh|ya?ml|log)$/i,
+
   extract: async function (statusCallback) {
+    let apiError = null;
+    if (window.ClaudeApi && window.ClaudeApi.getConversationId()) {
+      try {
+        return await this.extractFromApi(statusCallback);
+      } catch (e) {
+        console.warn("Claude API export failed, scraping the page instead:", e);
+        statusCallback("Claude API unavailable, scanning page...");
+        apiError = e;
+      }
+    }
+
+    const data = await this.extractFromDom(statusCallback);
+    if (apiError) {
+      data.warnings.unshift(
+        `The Claude API request failed (${apiError.message}); the conversation was read from the page instead, without attachments or artifacts.`,
+      );
+    }
+    return data;
+  },
+
+  extractFromApi: async function (statusCallback) {
+    statusCallback("Fetching Claude conversation...");
+
+    const convId = window.ClaudeApi.getConversationId();
+    const data = await window.ClaudeApi.getConversation(convId);
+
+    return this.buildExportData(data);
+  },
+
+  // Convert the API conversation JSON into the handler export format
+  buildExportData: function (data) {
+    const byId = new Map(data.chat_messages.map((msg) => [msg.uuid, msg]));
+
+    // The API returns every branch; follow the current leaf back to the root
+    // so the export matches what the user sees
+    let thread = [];
+    let leaf = byId.get(data.current_leaf_message_uuid);
+    if (!leaf) {
+      leaf = data.chat_messages.reduce(
+        (latest, msg) => (!latest || msg.index > latest.index ? msg : latest),
+        null,
+      );
+    }
+    for (let msg = leaf; msg; msg = byId.get(msg.parent_message_uuid)) {
+      thread.unshift(msg);
+    }
+
+    const artifacts = window.ClaudeArtifacts.collect(thread);
+    const media = [];
+    const usedFilenames = new Set();
+    const baseUrl = window.ClaudeApi.getBaseUrl();
+    // Attachment names with nothing to download
+    const unavailable = [];
+    // Uploads the files API only serves as a preview rendition
+    const previews = [];
+
+    const messages = thread.map((msg) => {
+      const parts = [];
+      const blocks = Array.isArray(msg.content) ? msg.content : [];
+
+      blocks.forEach((block) => {
+        if (block.type === "text" && block.text) {
+          parts.push({ text: block.text });
+        } else if (block.type === "thinking" && block.thinking) {
+          parts.push({ type: "thinking", text: block.thinking });
+        } else if (artifacts.parts.has(block)) {
+          // Reference to the file written under artifacts/
+          parts.push(artifacts.parts.get(block));
+        }
+      });
+      if (parts.length === 0 && msg.text) parts.push({ text: msg.text });
+
+      // Pasted text and older document uploads only exist as extracted text
+      const attachments = (msg.attachments || []).map((att, index) => {
+        const name = att.file_name || `pasted_${msg.index}_${index + 1}.txt`;
+        if (att.extracted_content) {
+          const textName = this.TEXT_FILE_PATTERN.test(name)
+            ? name
+            : `${name}.txt`;
+          media.push({
+            url: null,
+            content: att.extracted_content,
+            filename: window.FileUtils.makeUniqueFilename(
+              textName,
+              usedFilenames,
+            ),
+            originalName: name,
+            messageId: msg.uuid,
+            originalRef: { fileId: att.id || null, messageId: msg.uuid },
+          });
+        } else {
+          unavailable.push(name);
+        }
+        return {
+          id: att.id || null,
+          name: name,
+          mimeType: att.file_type || null,
+          size: att.file_size,
+        };
+      });
+
+      // The files API serves uploaded documents as they are, but images only
+      // as preview or thumbnail renditions
+      (msg.files_v2 || msg.files || []).forEach((file) => {
+        attachments.push({
+          id: file.file_uuid,
+          name: file.file_name,
+          mimeType: file.file_kind === "image" ? "image/*" : null,
+        });
+
+        const original =
+          file.file_kind !== "image" &&
+          file.document_asset &&
+          file.document_asset.url;
+        const preview =
+          (file.preview_asset && file.preview_asset.url) ||
+          (file.thumbnail_asset && file.thumbnail_asset.url) ||
+          file.preview_url ||
+          file.thumbnail_url;
+        const path = original || preview;
+        if (!path) {
+          unavailable.push(file.file_name || file.file_uuid);
+          return;
+        }
+
+        const name = file.file_name || `file_${file.file_uuid}`;
+        const dot = name.lastIndexOf(".");
+        if (!original) previews.push(name);
+        media.push({
+          url: path.startsWith("http") ? path : `${baseUrl}${path}`,
+          filename: window.FileUtils.makeUniqueFilename(
+            original
+              ? name
+              : dot > 0
+                ? `${name.substring(0, dot)}.preview${name.substring(dot)}`
+                : `${name}.preview`,
+            usedFilenames,
+          ),
+          originalName: file.file_name,
+          // Previews are often a different format than the upload
+          typeFromContent: !original,
+          // Session-authenticated; fetched by the background script
+          isRemote: true,
+          messageId: msg.uuid,
+          originalRef: { fileId: file.file_uuid, messageId: msg.uuid },
+        });
+      });
+
+      const parentId =
+        msg.parent_message_uuid === this.ROOT_PARENT_ID
+          ? null
+          : msg.parent_message_uuid || null;
+
+      return {
+        id: msg.uuid,
+        parentId: parentId,
+        role: msg.sender === "human" ? "user" : "model",
+        model: msg.sender === "human" ? null : data.model || null,
+        content: { parts: parts },
+        timestamp: msg.created_at,
+        attachments: attachments,
+      };
+    });
+
+    return {
+      id: data.uuid,
+      title: data.name || "Claude Chat",
+      source: "Claude",
+      url: `${window.ClaudeApi.getBaseUrl()}/chat/${data.uuid}`,
+      createTime: data.created_at,
+      updateTime: data.updated_at,
+      model: data.model || null,
+      extractionStrategy: "api",
+      messages: messages,
+      media: media,
+      artifacts: artifacts.artifacts,
+      warnings: [
+        unavailable.length > 0 &&
+          `Claude provides no content or download link for ${unavailable.length} attachments: ${unavailable.join(", ")}`,
+        previews.length > 0 &&
+          `Claude only serves previews of ${previews.length} uploads, so they were saved as preview files instead of the originals: ${previews.join(", ")}`,
+      ].filter(Boolean),
+      raw: data,
+    };
+  },
+
+  extractFromDom: async function (statusCallback) {
     statusCallback("Scanning Claude UI...");
 
     const title = document.title || "Claude Chat";
     const messages = [];
+    const warnings = [];
 
     // 1. Target Main Chat Area
     // Claude's main chat usually has a class like "flex-1" or is a sibling to the sidebar nav.
@@ -14,7 +209,15 @@ window.ClaudeHandler = {
       document.querySelector(".flex-1.overflow-auto") ||
       document.body;
 
-    // 2. Find Message Blocks (Font-based)
+    // 2. Scroll up until the older messages have loaded
+    const history = await window.HistoryLoader.loadFullHistory({
+      root: chatContainer,
+      itemSelector: ".font-user-message, .font-claude-message",
+      statusCallback,
+    });
+    statusCallback("Scanning Claude UI...");
+
+    // 3. Find Message Blocks (Font-based)
     // We assume the font classes exist as they are standard Claude UI.
     let blocks = Array.from(
       chatContainer.querySelectorAll(
@@ -25,6 +228,9 @@ window.ClaudeHandler = {
     // Fallback: If fonts missing, look for the grid layout
     if (blocks.length === 0) {
       console.warn("Claude font classes not found. Using generic fallback.");
+      warnings.push(
+        "Claude's message layout was not recognized; a generic fallback was used, so message roles may be wrong and older messages may not have been loaded.",
+      );
       blocks = Array.from(
         chatContainer.querySelectorAll(".grid.gap-2 .grid, .group.relative"),
       );
@@ -47,9 +253,10 @@ window.ClaudeHandler = {
       if (block.classList.contains("font-user-message")) role = "user";
       else if (block.innerText.startsWith("User")) role = "user";
 
-      // Get Text (this includes "Thinking" if it's expanded/visible in the block)
-      const text = block.innerText.trim();
-      if (!text) continue;
+      // Convert to Markdown (this includes "Thinking" if it's expanded/visible in the block)
+      // Copy/run buttons are dropped; code blocks keep their language
+      const parts = window.HtmlToMarkdown.toParts(block);
+      if (parts.length === 0) continue;
 
       // Check for separate "Thinking" blocks (sometimes separate divs)
       // If the user has expanded the thinking process, it might be in a sibling div.
@@ -58,18 +265,26 @@ window.ClaudeHandler = {
       messages.push({
         id: `msg_${msgIndex}`,
         role: role,
-        content: { parts: [{ text: text }] },
-        timestamp: Date.now() + msgIndex,
+        content: { parts: parts },
+        // The rendered page carries no message times
+        timestamp: null,
       });
       msgIndex++;
     }
 
-    // 3. Return Clean Data (No Media for Claude)
+    // 4. Return Clean Data (No Media for Claude)
+    const idMatch = window.location.pathname.match(/\/chat\/([\w-]+)/);
+
     return {
+      id: idMatch ? idMatch[1] : null,
       title: title,
       source: "Claude",
+      url: window.location.href,
+      extractionStrategy: "dom",
+      historyComplete: history.complete,
       messages: messages,
       media: [], // Explicitly empty to prevent errors
+      warnings: warnings,
     };
   },
 };
@@ -11,23 +11,6 @@ const Config = {
   // Supported domains
   domains: ['chat.openai.com', 'chatgpt.com'],
   
-  // Sediment regions - used for constructing sediment file URLs
-  sedimentRegions: [
-    'westus2', 
-    'westus3', 
-    'centralus', 
-    'eastus',
-    'eastus2',
-    'northcentralus',
-    'southcentralus',
-    'northeurope',
-    'westeurope',
-    'australiaeast',
-    'southeastasia',
-    'eastasia',
-    'centralindia'
-  ],
-  
   // UI configurations
   ui: {
     buttonPosition: { top: '80px', right: '15px' },
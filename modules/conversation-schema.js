@@ -0,0 +1,531 @@
+// Universal Chat Log Export - Normalized Conversation Schema Module
+
+/**
+ * Conversation Schema Module
+ * Converts the provider-specific data returned by the handlers into one
+ * versioned, provider-independent shape (written as conversation.normalized.json).
+ * The schema is documented in README.md; bump SCHEMA_VERSION on any change.
+ */
+window.ConversationSchema = (() => {
+  const SCHEMA_NAME = "multi-model-conversation-export/normalized";
+  const SCHEMA_VERSION = "1.2.0";
+
+  const BRANCH_MODES = ["active", "all", "tree"];
+
+  // ChatGPT content types that never carry user-visible text
+  const HIDDEN_CONTENT_TYPES = ["user_editable_context", "reasoning_recap"];
+
+  /**
+   * @typedef {Object} ContentPart
+   * @property {string} type - "text" | "code" | "thinking" | "image" | "artifact"
+   * @property {string} [text] - Text for text, code and thinking parts
+   * @property {string} [language] - Language hint for code parts
+   * @property {string} [assetPointer] - Provider file pointer for image parts
+   * @property {string|null} [filename] - File in media/ for image parts, if downloaded;
+   *   file in artifacts/ for artifact parts
+   * @property {string} [artifactId] - Artifact id for artifact parts
+   * @property {string} [title] - Artifact title for artifact parts
+   * @property {number} [version] - 1-based artifact version for artifact parts
+   */
+
+  /**
+   * @typedef {Object} Artifact
+   * @property {string} id - Provider artifact id
+   * @property {string} title - Artifact title
+   * @property {string|null} type - Artifact MIME type
+   * @property {string} filename - File in artifacts/ holding the latest version
+   * @property {Array<{version: number, messageId: string, filename: string}>} versions
+   */
+
+  /**
+   * @typedef {Object} Attachment
+   * @property {string|null} id - Provider file id
+   * @property {string} name - Original filename
+   * @property {string|null} mimeType - MIME type, if known
+   * @property {number|null} size - Size in bytes, if known
+   * @property {string|null} filename - File in media/, if downloaded
+   */
+
+  /**
+   * @typedef {Object} NormalizedMessage
+   * @property {string} id - Message id
+   * @property {string|null} parentId - Id of the preceding message in the thread
+   * @property {string} role - "user" | "assistant" | "system" | "tool"
+   * @property {string|null} author - Author name (tool name for tool messages)
+   * @property {string|null} model - Model that produced the message
+   * @property {string|null} createdAt - ISO 8601 timestamp, null when unknown
+   * @property {Array<ContentPart>} content - Ordered content parts
+   * @property {Array<Attachment>} attachments - Files attached to the message
+   * @property {Array<string>} childIds - Exported replies to this message
+   * @property {boolean} onActivePath - Whether the message is on the thread the user last viewed
+   */
+
+  /**
+   * @typedef {Object} Thread
+   * @property {number} number - 1-based thread number
+   * @property {string} leafId - Id of the last message in the thread
+   * @property {boolean} active - Whether this is the thread the user last viewed
+   * @property {Array<string>} messageIds - Message ids from the first message to the leaf
+   */
+
+  /**
+   * Convert a provider timestamp (seconds, milliseconds or ISO) to ISO 8601
+   * @param {number|string|null} value - Raw timestamp
+   * @returns {string|null} ISO string or null
+   */
+  function toIsoDate(value) {
+    if (value === null || value === undefined || value === "") return null;
+    let millis = value;
+    if (typeof value === "string") {
+      millis = Date.parse(value);
+    } else if (value < 1e12) {
+      // ChatGPT uses fractional seconds
+      millis = Math.round(value * 1000);
+    }
+    return isNaN(millis) ? null : new Date(millis).toISOString();
+  }
+
+  /**
+   * Map provider role names to the schema's role vocabulary
+   * @param {string} role - Provider role
+   * @returns {string} Normalized role
+   */
+  function normalizeRole(role) {
+    if (role === "model" || role === "assistant") return "assistant";
+    if (role === "human") return "user";
+    return role || "assistant";
+  }
+
+  /**
+   * Convert a ChatGPT message content object into typed parts
+   * @param {Object} content - message.content from the ChatGPT mapping
+   * @returns {Array<ContentPart>} Parts
+   */
+  function chatgptContentToParts(content) {
+    if (!content || HIDDEN_CONTENT_TYPES.includes(content.content_type)) {
+      return [];
+    }
+
+    switch (content.content_type) {
+      case "code":
+        return [
+          {
+            type: "code",
+            language: content.language || "",
+            text: content.text || "",
+          },
+        ];
+      case "execution_output":
+        return [{ type: "code", language: "output", text: content.text || "" }];
+      case "thoughts":
+        return (content.thoughts || []).map((thought) => ({
+          type: "thinking",
+          text: [thought.summary, thought.content].filter(Boolean).join("\n\n"),
+        }));
+      case "tether_quote":
+        return [
+          {
+            type: "text",
+            text: [content.title, content.text].filter(Boolean).join("\n\n"),
+          },
+        ];
+    }
+
+    // ChatGPT writes math as \( \) and \[ \]; use the $ delimiters the
+    // other providers use
+    const textPart = (text) => ({
+      type: "text",
+      text: window.MathRecovery.normalizeDelimiters(text),
+    });
+
+    const parts = [];
+    if (typeof content.text === "string" && !content.parts) {
+      parts.push(textPart(content.text));
+    }
+
+    (content.parts || []).forEach((part) => {
+      if (typeof part === "string") {
+        parts.push(textPart(part));
+      } else if (part && part.content_type === "image_asset_pointer") {
+        parts.push({
+          type: "image",
+          assetPointer: part.asset_pointer,
+          filename: null,
+        });
+      } else if (part && typeof part.text === "string") {
+        parts.push(textPart(part.text));
+      }
+    });
+
+    return parts;
+  }
+
+  /**
+   * Sort messages chronologically, ties broken by source order. When any of
+   * them has no usable timestamp the whole list keeps its source order, so
+   * the sort key stays total (mixing the two orders is not transitive).
+   * @param {Array<Object>} list - Messages with _order
+   * @returns {Array<Object>} The list, sorted in place
+   */
+  function sortMessages(list) {
+    const times = new Map(
+      list.map((msg) => [msg, msg.createdAt ? Date.parse(msg.createdAt) : NaN]),
+    );
+    const dated = list.every((msg) => !Number.isNaN(times.get(msg)));
+    return list.sort((a, b) =>
+      dated
+        ? times.get(a) - times.get(b) || a._order - b._order
+        : a._order - b._order,
+    );
+  }
+
+  /**
+   * Normalize every visible message of a ChatGPT node mapping (all branches)
+   * @param {Object} mapping - ChatGPT node mapping keyed by node id
+   * @returns {Array<NormalizedMessage>} Messages, unordered
+   */
+  function normalizeChatGPTMessages(mapping) {
+    const messages = [];
+
+    Object.entries(mapping).forEach(([nodeId, node], index) => {
+      const msg = node.message;
+      if (!msg || !msg.author) return;
+      if (msg.metadata && msg.metadata.is_visually_hidden_from_conversation)
+        return;
+      if (msg.author.role === "system") return;
+
+      const content = chatgptContentToParts(msg.content).filter(
+        (part) => part.type === "image" || (part.text && part.text.trim()),
+      );
+      if (content.length === 0) return;
+
+      const attachments = (
+        (msg.metadata && msg.metadata.attachments) ||
+        []
+      ).map((att) => ({
+        id: att.id || null,
+        name: att.name || att.id || "attachment",
+        mimeType: att.mime_type || null,
+        size: typeof att.size === "number" ? att.size : null,
+        filename: null,
+      }));
+
+      messages.push({
+        id: nodeId,
+        parentId: node.parent || null,
+        role: normalizeRole(msg.author.role),
+        author: msg.author.name || null,
+        model: (msg.metadata && msg.metadata.model_slug) || null,
+        createdAt: toIsoDate(msg.create_time),
+        content: content,
+        attachments: attachments,
+        _order: index,
+      });
+    });
+
+    // Skip hidden/system nodes when pointing at the parent message
+    const included = new Set(messages.map((msg) => msg.id));
+    messages.forEach((msg) => {
+      let parentId = msg.parentId;
+      while (parentId && !included.has(parentId)) {
+        parentId = mapping[parentId] ? mapping[parentId].parent : null;
+      }
+      msg.parentId = parentId || null;
+    });
+
+    return messages;
+  }
+
+  /**
+   * Order a message tree into threads. The active thread follows current_node
+   * up through the parent links; every leaf starts its own numbered thread.
+   * @param {Array<Object>} messages - Messages with parentId and _order
+   * @param {Object} mapping - ChatGPT node mapping (for walking hidden nodes)
+   * @param {string|null} currentNode - Id of the node the user last viewed
+   * @param {string} branchMode - "active", "all" or "tree"
+   * @returns {Object} { messages, threads }
+   */
+  function orderThreads(messages, mapping, currentNode, branchMode) {
+    const byId = new Map(messages.map((msg) => [msg.id, msg]));
+    const children = new Map();
+    const roots = [];
+
+    messages.forEach((msg) => {
+      if (msg.parentId && byId.has(msg.parentId)) {
+        if (!children.has(msg.parentId)) children.set(msg.parentId, []);
+        children.get(msg.parentId).push(msg);
+      } else {
+        roots.push(msg);
+      }
+    });
+    sortMessages(roots);
+    children.forEach((list) => sortMessages(list));
+    const childrenOf = (msg) => children.get(msg.id) || [];
+
+    // Find the active leaf: current_node (or its nearest visible ancestor),
+    // otherwise the most recent reply at every level
+    let activeLeaf = null;
+    let nodeId = currentNode;
+    while (nodeId && !activeLeaf) {
+      activeLeaf = byId.get(nodeId) || null;
+      nodeId = mapping && mapping[nodeId] ? mapping[nodeId].parent : null;
+    }
+    if (!activeLeaf && roots.length > 0) {
+      activeLeaf = roots[roots.length - 1];
+      while (childrenOf(activeLeaf).length > 0) {
+        const kids = childrenOf(activeLeaf);
+        activeLeaf = kids[kids.length - 1];
+      }
+    }
+
+    const pathTo = (leaf) => {
+      const path = [];
+      for (let msg = leaf; msg; msg = byId.get(msg.parentId)) path.unshift(msg);
+      return path;
+    };
+    const activePath = activeLeaf ? pathTo(activeLeaf) : [];
+    const activeIds = new Set(activePath.map((msg) => msg.id));
+
+    // Depth-first walk; iterative so very long chats cannot overflow the stack
+    const treeOrder = [];
+    const stack = roots.slice().reverse();
+    while (stack.length > 0) {
+      const msg = stack.pop();
+      treeOrder.push(msg);
+      stack.push(...childrenOf(msg).slice().reverse());
+    }
+
+    const leaves =
+      branchMode === "active"
+        ? activePath.slice(-1)
+        : treeOrder.filter((msg) => childrenOf(msg).length === 0);
+
+    const threads = leaves.map((leaf, index) => ({
+      number: index + 1,
+      leafId: leaf.id,
+      active: activeIds.has(leaf.id),
+      messageIds: pathTo(leaf).map((msg) => msg.id),
+    }));
+
+    const ordered = branchMode === "active" ? activePath : treeOrder;
+    const exported = new Set(ordered.map((msg) => msg.id));
+    ordered.forEach((msg) => {
+      msg.childIds = childrenOf(msg)
+        .filter((child) => exported.has(child.id))
+        .map((child) => child.id);
+      msg.onActivePath = activeIds.has(msg.id);
+      delete msg._order;
+    });
+
+    return { messages: ordered, threads };
+  }
+
+  /**
+   * Normalize the flat message array used by the Claude and Gemini handlers
+   * @param {Array} list - Handler message array
+   * @returns {Array<NormalizedMessage>} Messages
+   */
+  function normalizeListMessages(list) {
+    let previousId = null;
+
+    return list
+      .map((msg) => {
+        const rawParts = (msg.content && msg.content.parts) || [];
+        const content = rawParts
+          .filter(
+            (part) =>
+              part &&
+              (part.type === "artifact" ||
+                (part.type === "image" && part.assetPointer) ||
+                (typeof part.text === "string" && part.text.trim())),
+          )
+          .map((part) => {
+            if (part.type === "image")
+              return {
+                type: "image",
+                assetPointer: part.assetPointer,
+                filename: null,
+              };
+            if (part.type === "artifact")
+              return {
+                type: "artifact",
+                artifactId: part.artifactId,
+                title: part.title,
+                version: part.version,
+                filename: part.filename,
+              };
+            if (part.type === "thinking")
+              return { type: "thinking", text: part.text };
+            if (part.language !== undefined)
+              return {
+                type: "code",
+                language: part.language || "",
+                text: part.text,
+              };
+            return { type: "text", text: part.text };
+          });
+
+        const normalized = {
+          id: msg.id,
+          parentId: msg.parentId !== undefined ? msg.parentId : previousId,
+          role: normalizeRole(msg.role),
+          author: msg.author || null,
+          model: msg.model || null,
+          createdAt: toIsoDate(msg.timestamp),
+          content: content,
+          attachments: (msg.attachments || []).map((att) => ({
+            id: att.id || null,
+            name: att.name || att.filename || "attachment",
+            mimeType: att.mimeType || null,
+            size: typeof att.size === "number" ? att.size : null,
+            filename: null,
+          })),
+        };
+        previousId = msg.id;
+        return normalized;
+      })
+      .filter((msg) => msg.content.length > 0 || msg.attachments.length > 0);
+  }
+
+  /**
+   * Link downloaded media files to the image parts and attachments that
+   * reference them. Media tied to a message but not yet referenced becomes an
+   * extra attachment on that message.
+   * @param {Array<NormalizedMessage>} messages - Normalized messages
+   * @param {Array} mediaItems - Media items from the handler
+   */
+  function attachMedia(messages, mediaItems) {
+    const byId = new Map(messages.map((msg) => [msg.id, msg]));
+    const idOf = (value) =>
+      (value || "").replace(/^(sediment|file-service):\/\//, "");
+
+    (mediaItems || []).forEach((item) => {
+      const ref = item.originalRef || {};
+      const pointer = ref.assetPointer;
+      const fileId = idOf(ref.fileId || pointer);
+      let linked = false;
+
+      messages.forEach((msg) => {
+        msg.content.forEach((part) => {
+          if (
+            part.type === "image" &&
+            pointer &&
+            part.assetPointer === pointer
+          ) {
+            part.filename = item.filename;
+            linked = true;
+          }
+        });
+        msg.attachments.forEach((att) => {
+          if (!att.filename && att.id && fileId && idOf(att.id) === fileId) {
+            att.filename = item.filename;
+            linked = true;
+          }
+        });
+      });
+
+      const owner = byId.get(item.messageId || ref.messageId);
+      if (!linked && owner) {
+        owner.attachments.push({
+          id: fileId || null,
+          name: item.originalName || item.filename,
+          mimeType: item.mimeType || null,
+          size: null,
+          filename: item.filename,
+        });
+      }
+    });
+  }
+
+  /**
+   * Normalize handler data into the cross-provider schema
+   * @param {Object} data - Export data returned by a provider handler
+   * @param {Object} [options] - Normalization options
+   * @param {string} [options.branchMode] - "active", "all" or "tree"
+   * @returns {Object} Normalized conversation
+   */
+  function normalize(data, options = {}) {
+    const branchMode = BRANCH_MODES.includes(options.branchMode)
+      ? options.branchMode
+      : "active";
+
+    let messages = [];
+    let threads = [];
+
+    if (Array.isArray(data.messages)) {
+      messages = normalizeListMessages(data.messages);
+      messages.forEach((msg, index) => {
+        msg.childIds = messages[index + 1] ? [messages[index + 1].id] : [];
+        msg.onActivePath = true;
+      });
+      if (messages.length > 0) {
+        threads = [
+          {
+            number: 1,
+            leafId: messages[messages.length - 1].id,
+            active: true,
+            messageIds: messages.map((msg) => msg.id),
+          },
+        ];
+      }
+    } else if (data.messages) {
+      ({ messages, threads } = orderThreads(
+        normalizeChatGPTMessages(data.messages),
+        data.messages,
+        data.currentNode || null,
+        branchMode,
+      ));
+    }
+
+    attachMedia(messages, data.media);
+
+    return {
+      schema: SCHEMA_NAME,
+      schemaVersion: SCHEMA_VERSION,
+      id: data.id || null,
+      provider: (data.source || "unknown").toLowerCase(),
+      title: data.title || "Untitled Chat",
+      url: data.url || null,
+      createdAt: toIsoDate(data.createTime),
+      updatedAt: toIsoDate(data.updateTime),
+      exportedAt: new Date().toISOString(),
+      branchMode: branchMode,
+      threads: threads,
+      messages: messages,
+      // Media that failed to download have no filename and are left out
+      media: (data.media || [])
+        .filter((item) => item.filename)
+        .map((item) => ({
+          filename: item.filename,
+          url: item.url,
+          messageId:
+            item.messageId || (item.originalRef || {}).messageId || null,
+        })),
+      artifacts: (data.artifacts || []).map((artifact) => ({
+        id: artifact.id,
+        title: artifact.title,
+        type: artifact.type,
+        filename: artifact.filename,
+        versions: artifact.versions.map((version) => ({
+          version: version.version,
+          messageId: version.messageId,
+          filename: version.filename,
+        })),
+      })),
+      raw: data.raw !== undefined ? data.raw : data.messages,
+    };
+  }
+
+  // Public API
+  return {
+    SCHEMA_NAME,
+    SCHEMA_VERSION,
+    toIsoDate,
+    normalize,
+  };
+})();
+
+console.log(
+  "ConversationSchema module loaded and attached to window",
+  window.ConversationSchema,
+);
@@ -38,7 +38,7 @@ window.ConversationManager = (() => {
       const token = await AuthManager.getAccessToken();
       const domain = window.location.hostname;
       
-      const response = await fetch(`https://${domain}/backend-api/conversation/${conversationId}`, {
+      const response = await window.RequestScheduler.fetch(`https://${domain}/backend-api/conversation/${conversationId}`, {
         method: 'GET',
         credentials: 'include',
         headers: {
@@ -67,6 +67,38 @@ window.ConversationManager = (() => {
     }
   }
   
+  /**
+   * Fetch one page of the account's conversation list, most recently updated first
+   * @param {number} offset - Number of conversations to skip
+   * @param {number} limit - Page size (the API allows up to 100)
+   * @param {boolean} archived - List archived conversations instead; the default list leaves them out
+   * @returns {Promise<Object>} Promise resolving to {items, total, limit, offset}
+   */
+  async function listConversations(offset = 0, limit = 100, archived = false) {
+    ExportConfig.log(`Fetching ${archived ? 'archived ' : ''}conversation list (offset ${offset}, limit ${limit})`);
+    
+    const token = await AuthManager.getAccessToken();
+    const domain = window.location.hostname;
+    const archivedParam = archived ? '&is_archived=true' : '';
+    
+    const response = await window.RequestScheduler.fetch(`https://${domain}/backend-api/conversations?offset=${offset}&limit=${limit}&order=updated${archivedParam}`, {
+      method: 'GET',
+      credentials: 'include',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Accept': '*/*',
+        'Cache-Control': 'no-cache',
+        'Pragma': 'no-cache',
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch conversation list: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
   /**
    * Check if the current page is a valid ChatGPT conversation page
    * @returns {boolean} True if valid, false otherwise
@@ -141,17 +173,19 @@ window.ConversationManager = (() => {
     // Format date as YYYY-MM-DD
     dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
     
-    // Clean up title for folder name
+    // Clean up title and id for folder name
     const safeTitle = title.replace(/[^a-zA-Z0-9_\-]/g, '_').replace(/_+/g, '_');
+    const suffix = `_${dateStr}_${id}`.replace(/[^a-zA-Z0-9_\-]/g, '_');
     
-    // Create folder name: Title_YYYY-MM-DD_ID
-    return `${safeTitle}_${dateStr}_${id}`.replace(/[^a-zA-Z0-9_\-]/g, '_').slice(0, 128);
+    // Create folder name: Title_YYYY-MM-DD_ID, shortening the title (never the id) to 128 characters
+    return safeTitle.slice(0, Math.max(128 - suffix.length, 0)) + suffix;
   }
   
   // Public API
   return {
     getConversationId,
     getConversation,
+    listConversations,
     isValidChatGPTPage,
     exportConversationJson,
     createConversationFolderName
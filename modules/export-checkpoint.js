@@ -0,0 +1,109 @@
+// Universal Chat Log Export - Export Checkpoint Module
+
+/**
+ * Export Checkpoint Module
+ * Persists the progress of a bulk export so it can be resumed after a tab
+ * reload or an error. The job (which conversations to export, which are done
+ * or failed) lives in chrome.storage.local; the files of finished
+ * conversations and media fetched so far are kept by the offscreen archive
+ * builder (CheckpointStore) until the archive is generated.
+ */
+window.ExportCheckpoint = (() => {
+  const JOB_KEY_PREFIX = "bulkExportJob:";
+
+  /**
+   * Load the unfinished job of a provider
+   * @param {string} provider - Provider key
+   * @returns {Promise<Object|null>} Job, or null if there is none
+   */
+  async function load(provider) {
+    const key = JOB_KEY_PREFIX + provider;
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || null;
+  }
+
+  /**
+   * Persist a job's progress
+   * @param {Object} job - Job from create() or load()
+   * @returns {Promise<void>}
+   */
+  async function save(job) {
+    job.updatedAt = new Date().toISOString();
+    await chrome.storage.local.set({ [JOB_KEY_PREFIX + job.provider]: job });
+  }
+
+  /**
+   * Start a new job, replacing any unfinished one of the same provider
+   * @param {string} provider - Provider key
+   * @param {Object} details - Job details (scope, mode, archiveName, exportedAt,
+   *   since, summaries)
+   * @returns {Promise<Object>} Job with empty done and failed maps
+   */
+  async function create(provider, details) {
+    await discard(provider);
+
+    const job = {
+      id: `${provider}-${Date.now()}`,
+      provider: provider,
+      ...details,
+      done: {},
+      failed: {},
+    };
+    await save(job);
+    return job;
+  }
+
+  /**
+   * Mark a conversation as done once its files are stored
+   * (ArchiveClient.stageConversation)
+   * @param {Object} job - Job
+   * @param {Object} summary - Conversation summary
+   * @param {Object} result - {folder, mediaCount} for the index, and the
+   *   size the folder takes in an archive
+   * @returns {Promise<void>}
+   */
+  async function markDone(job, summary, result) {
+    job.done[summary.id] = result;
+    delete job.failed[summary.id];
+    await save(job);
+  }
+
+  /**
+   * Mark a conversation as failed
+   * @param {Object} job - Job
+   * @param {Object} summary - Conversation summary
+   * @param {string} error - Error message
+   * @returns {Promise<void>}
+   */
+  async function markFailed(job, summary, error) {
+    job.failed[summary.id] = error;
+    await save(job);
+  }
+
+  /**
+   * Forget a provider's unfinished job and its stored files
+   * @param {string} provider - Provider key
+   * @returns {Promise<void>}
+   */
+  async function discard(provider) {
+    const job = await load(provider);
+    if (!job) return;
+
+    await window.ArchiveClient.discardCheckpoint(job.id);
+    await chrome.storage.local.remove(JOB_KEY_PREFIX + provider);
+  }
+
+  // Public API
+  return {
+    load,
+    create,
+    markDone,
+    markFailed,
+    discard,
+  };
+})();
+
+console.log(
+  "ExportCheckpoint module loaded and attached to window",
+  window.ExportCheckpoint,
+);
@@ -0,0 +1,70 @@
+// Universal Chat Log Export - Export Log Module
+
+/**
+ * Export Log Module
+ * Keeps a short history of bulk, sync and scheduled exports in
+ * chrome.storage.local, newest first. Shared by the content scripts, the
+ * background script and the options page. The background script owns the
+ * log: other contexts hand their entries to it, and it writes them one at a
+ * time, so entries added close together are not lost.
+ */
+window.ExportLog = (() => {
+  const STORAGE_KEY = "exportLog";
+
+  // Oldest entries are dropped beyond this
+  const MAX_ENTRIES = 100;
+
+  // Whether this is the background service worker
+  const IS_OWNER =
+    typeof ServiceWorkerGlobalScope !== "undefined" &&
+    self instanceof ServiceWorkerGlobalScope;
+
+  // Appends in progress, one at a time
+  let queue = Promise.resolve();
+
+  /**
+   * Load the log
+   * @returns {Promise<Array<Object>>} Entries, newest first
+   */
+  async function load() {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || [];
+  }
+
+  /**
+   * Add an entry to the log
+   * @param {Object} entry - Export result
+   * @param {string} entry.provider - Provider key ("chatgpt", "claude")
+   * @param {string} entry.trigger - "manual" or "scheduled"
+   * @param {string} entry.status - "saved", "up-to-date", "skipped" or "error"
+   * @returns {Promise<Object>} The stored entry, with its time
+   */
+  async function append(entry) {
+    if (!IS_OWNER) {
+      const response = await chrome.runtime.sendMessage({
+        action: "appendExportLog",
+        entry,
+      });
+      if (!response) throw new Error("The background script did not respond");
+      if (!response.success) throw new Error(response.error);
+      return response.entry;
+    }
+
+    const stored = { time: new Date().toISOString(), ...entry };
+    const write = queue.then(async () => {
+      const entries = [stored, ...(await load())].slice(0, MAX_ENTRIES);
+      await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+    });
+    queue = write.catch(() => {});
+    await write;
+    return stored;
+  }
+
+  // Public API
+  return {
+    load,
+    append,
+  };
+})();
+
+console.log("ExportLog module loaded and attached to window", window.ExportLog);
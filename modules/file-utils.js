@@ -509,6 +509,31 @@ window.FileUtils = (() => {
     return `${baseName}.${ext}`;
   }
   
+  /**
+   * Make a filename safe for the archive and unique within a set of names
+   * @param {string} baseName - Desired filename (with extension)
+   * @param {Set<string>} usedFilenames - Names already taken; the result is added
+   * @returns {string} Unique, sanitized filename
+   */
+  function makeUniqueFilename(baseName, usedFilenames) {
+    const safeName = baseName.replace(/[^a-z0-9_\-\.\s\(\)]/gi, '_');
+    
+    let counter = 1;
+    let finalName = safeName;
+    while (usedFilenames.has(finalName)) {
+      const lastDot = safeName.lastIndexOf('.');
+      if (lastDot > -1) {
+        finalName = safeName.substring(0, lastDot) + `_${counter}` + safeName.substring(lastDot);
+      } else {
+        finalName = `${safeName}_${counter}`;
+      }
+      counter++;
+    }
+    usedFilenames.add(finalName);
+    
+    return finalName;
+  }
+  
   // Public API
   return {
     detectFileTypeFromBytes,
@@ -520,7 +545,8 @@ window.FileUtils = (() => {
     downloadBlob,
     downloadBlobToPath,
     tryParseJson,
-    fixFileExtension
+    fixFileExtension,
+    makeUniqueFilename
   };
 })();
 
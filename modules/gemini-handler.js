@@ -1,5 +1,18 @@
-// Gemini Export Handler - Text-First & Stable
+// Gemini Export Handler - one message per conversation turn
 window.GeminiHandler = {
+  // Each exchange is a <user-query> followed by a <model-response>
+  TURN_SELECTOR: "user-query, model-response",
+
+  // Controls and screen-reader labels that are not part of the message
+  NOISE_SELECTOR: [
+    "button",
+    "mat-icon",
+    ".cdk-visually-hidden",
+    ".code-block-decoration",
+    "sources-list",
+    "message-actions",
+  ].join(", "),
+
   extract: async function (statusCallback) {
     statusCallback("Scanning Gemini UI...");
 
@@ -24,91 +37,139 @@ window.GeminiHandler = {
       );
     }
 
-    // 3. Scan for Message Blocks
-    // We look for all text-containing blocks inside the CHAT CONTAINER only.
-    const allElements = Array.from(
-      chatContainer.querySelectorAll(
-        "p, li, .model-response-text, .user-query-text",
-      ),
-    );
-
-    // Filter for valid message parts
-    const messageNodes = allElements.filter((el) => {
-      // Double-check: Ensure we aren't in a nested nav/menu (just in case)
-      if (el.closest("nav") || el.closest('[role="navigation"]')) return false;
-
-      const text = el.innerText.trim();
-      if (!text) return false;
-
-      // Filter UI Noise
-      const noise = [
-        "Expand",
-        "Collapse",
-        "Listen",
-        "Share",
-        "Google",
-        "Sources",
-        "View other drafts",
-      ];
-      if (noise.includes(text)) return false;
-
-      // Filter small labels that aren't user input
-      if (text.length < 3 && !el.closest('[data-test-id*="user"]'))
-        return false;
-
-      return true;
+    // 3. Scroll up until the older turns have loaded
+    const history = await window.HistoryLoader.loadFullHistory({
+      root: chatContainer,
+      itemSelector: this.TURN_SELECTOR,
+      scrollContainer: chatContainer.querySelector("infinite-scroller"),
+      statusCallback,
     });
+    statusCallback("Scanning Gemini UI...");
+
+    // 4. Find the turns, in page order
+    const turns = Array.from(
+      chatContainer.querySelectorAll(this.TURN_SELECTOR),
+    ).filter((turn) => !turn.closest("nav, [role='navigation']"));
+
+    if (turns.length === 0) {
+      throw new Error(
+        "Could not find any Gemini messages. Please ensure the chat is fully loaded.",
+      );
+    }
 
-    // 4. Group into Messages
+    // 5. One message per turn
     const messages = [];
-    let msgIndex = 0;
-
-    // We iterate through the filtered text nodes
-    for (const node of messageNodes) {
-      const text = node.innerText.trim();
-
-      // Determine Role
-      // Default to model. If we find user indicators nearby, switch to user.
-      let role = "model";
-      let parent = node.parentElement;
-
-      // Walk up 6 levels looking for "User" markers
-      for (let i = 0; i < 6; i++) {
-        if (!parent) break;
-        const html = parent.innerHTML;
-        if (
-          html.includes("edit_note") ||
-          parent.querySelector('mat-icon[data-mat-icon-name="pencil"]') ||
-          parent.getAttribute("data-test-id")?.includes("user")
-        ) {
-          role = "user";
-          break;
-        }
-        parent = parent.parentElement;
-      }
-
-      // Check if this is a "Thinking" block
-      // (Gemini sometimes labels these or puts them in specific containers)
-      if (text.startsWith("Thinking") && text.length < 20) {
-        // This is likely just the label "Thinking", skip it unless it has content
-        continue;
-      }
+    const media = [];
+    const usedFilenames = new Set();
+    let unrecognizedTurns = 0;
+
+    turns.forEach((turn) => {
+      const isUser = turn.tagName.toLowerCase() === "user-query";
+      const body = isUser
+        ? turn.querySelector(".query-text") || turn
+        : turn.querySelector("message-content .markdown") ||
+          turn.querySelector("message-content") ||
+          turn;
+      if (body === turn) unrecognizedTurns++;
+
+      const parts = this.extractParts(body);
+
+      // Uploads and generated images sit next to the text, not inside it;
+      // uploads are shown above the prompt, generations below the answer
+      const images = Array.from(turn.querySelectorAll("img"))
+        .filter((img) => !body.contains(img))
+        .map((img) => this.imagePart(img))
+        .filter(Boolean);
+      if (isUser) parts.unshift(...images);
+      else parts.push(...images);
+
+      if (parts.length === 0) return;
+
+      const messageId = `msg_${messages.length}`;
+      const seen = new Set();
+      parts
+        .filter((part) => part.type === "image")
+        .forEach((part) => {
+          if (seen.has(part.assetPointer)) return;
+          seen.add(part.assetPointer);
+          const named = /\.\w{2,4}$/.test(part.alt);
+          media.push({
+            url: part.assetPointer,
+            filename: window.FileUtils.makeUniqueFilename(
+              named ? part.alt : `gemini_${messages.length}_${seen.size}.png`,
+              usedFilenames,
+            ),
+            // Image URLs carry no file type; the extension follows the
+            // downloaded bytes
+            typeFromContent: !named,
+            // Served from googleusercontent.com; fetched by the background script
+            isRemote: !part.assetPointer.startsWith("blob:"),
+            messageId: messageId,
+            originalRef: { assetPointer: part.assetPointer, messageId },
+          });
+        });
 
       messages.push({
-        id: `msg_${msgIndex}`,
-        role: role,
-        content: { parts: [{ text: text }] },
-        timestamp: Date.now() + msgIndex,
+        id: messageId,
+        role: isUser ? "user" : "model",
+        content: { parts: parts },
+        // The rendered page carries no message times
+        timestamp: null,
       });
-      msgIndex++;
-    }
+    });
+
+    // 6. Return Clean Data
+    const idMatch = window.location.pathname.match(/\/app\/([\w-]+)/);
 
-    // 5. Return Clean Data (No Media for Gemini)
     return {
+      id: idMatch ? idMatch[1] : null,
       title: title,
       source: "Gemini",
+      url: window.location.href,
+      extractionStrategy: "dom",
+      historyComplete: history.complete,
       messages: messages,
-      media: [], // Explicitly empty to prevent errors
+      media: media,
+      warnings:
+        unrecognizedTurns > 0
+          ? [
+              `${unrecognizedTurns} turns did not match Gemini's known layout; their whole content was exported, which may include buttons or labels.`,
+            ]
+          : [],
     };
   },
+
+  // Strip Gemini's size parameters (e.g. "=w400-h300") to get the original
+  toFullResolution: function (url) {
+    if (!/googleusercontent\.com/.test(url) || url.includes("?")) return url;
+    return url.replace(/=[\w-]*$/, "") + "=s0";
+  },
+
+  // Image part for a content image, or null for icons and avatars
+  imagePart: function (img) {
+    const src = img.currentSrc || img.src || "";
+    if (img.closest(this.NOISE_SELECTOR)) return null;
+    if (!/googleusercontent\.com/.test(src) && !src.startsWith("blob:"))
+      return null;
+    return {
+      type: "image",
+      assetPointer: this.toFullResolution(src),
+      alt: (img.alt || "").trim(),
+    };
+  },
+
+  // Convert a message body into ordered Markdown, code and image parts
+  extractParts: function (body) {
+    return window.HtmlToMarkdown.toParts(body, {
+      skipSelector: this.NOISE_SELECTOR,
+      // The language label sits in the <code-block> header, not on <code>
+      codeLanguage: (pre) => {
+        const block = pre.closest("code-block");
+        const label =
+          block && block.querySelector(".code-block-decoration span");
+        return label ? label.textContent : "";
+      },
+      onImage: (img) => this.imagePart(img),
+    });
+  },
 };
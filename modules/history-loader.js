@@ -0,0 +1,135 @@
+// Universal Chat Log Export - History Loader Module
+
+/**
+ * History Loader Module
+ * Claude and Gemini only render the most recent turns and load older ones as
+ * the user scrolls up. Before the DOM handlers read the page, this scrolls the
+ * conversation to the top until no new turns appear, then puts the user's
+ * scroll position back.
+ */
+window.HistoryLoader = (() => {
+  // How often to check whether new turns have rendered
+  const POLL_INTERVAL_MS = 200;
+
+  // How long to wait for a scroll to load more turns
+  const SETTLE_TIMEOUT_MS = 2000;
+
+  // Rounds at the top with no new turns before the history counts as complete
+  const STABLE_ROUNDS = 2;
+
+  // Give up after this many scrolls
+  const MAX_ROUNDS = 100;
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Delay
+   * @returns {Promise<void>}
+   */
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Find the element that scrolls the conversation
+   * @param {Element} start - An element inside the conversation
+   * @returns {Element} Scrollable ancestor, or the document scroller
+   */
+  function findScrollContainer(start) {
+    for (let el = start; el && el !== document.body; el = el.parentElement) {
+      const overflowY = window.getComputedStyle(el).overflowY;
+      if (
+        (overflowY === "auto" || overflowY === "scroll") &&
+        el.scrollHeight > el.clientHeight
+      ) {
+        return el;
+      }
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+
+  /**
+   * Wait until more than `count` turns are rendered, or the timeout passes
+   * @param {Element} root - Element containing the turns
+   * @param {string} itemSelector - Selector matching one turn
+   * @param {number} count - Turns rendered before the scroll
+   * @returns {Promise<number>} Turns rendered now
+   */
+  async function waitForMore(root, itemSelector, count) {
+    const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+    let current = count;
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      current = root.querySelectorAll(itemSelector).length;
+      if (current > count) break;
+    }
+    return current;
+  }
+
+  /**
+   * Scroll to the top of the conversation until every turn has loaded
+   * @param {Object} options - Loader options
+   * @param {Element} options.root - Element containing the turns
+   * @param {string} options.itemSelector - Selector matching one turn
+   * @param {Element} [options.scrollContainer] - Scrolling element, if known
+   * @param {Function} options.statusCallback - Progress reporter
+   * @returns {Promise<{complete: boolean, itemCount: number}>} Whether the
+   *   start of the conversation was reached, and the turns rendered. A page
+   *   without turns has no history to load and counts as complete; the
+   *   handler reports the missing messages itself.
+   */
+  async function loadFullHistory({
+    root,
+    itemSelector,
+    scrollContainer,
+    statusCallback,
+  }) {
+    const first = root.querySelector(itemSelector);
+    let count = root.querySelectorAll(itemSelector).length;
+    if (!first) return { complete: true, itemCount: 0 };
+
+    const scroller = scrollContainer || findScrollContainer(first);
+
+    // Measured from the bottom, since older turns are inserted above
+    const offsetFromBottom = scroller.scrollHeight - scroller.scrollTop;
+
+    let complete = false;
+    let stableRounds = 0;
+
+    try {
+      for (let round = 0; round < MAX_ROUNDS; round++) {
+        statusCallback(`Loading earlier messages... (${count} loaded)`);
+        scroller.scrollTop = 0;
+
+        const loaded = await waitForMore(root, itemSelector, count);
+        if (loaded > count) {
+          count = loaded;
+          stableRounds = 0;
+        } else if (scroller.scrollTop <= 0 && ++stableRounds >= STABLE_ROUNDS) {
+          complete = true;
+          break;
+        }
+      }
+    } finally {
+      scroller.scrollTop = scroller.scrollHeight - offsetFromBottom;
+    }
+
+    if (!complete) {
+      console.warn(
+        `History may be incomplete: stopped after ${MAX_ROUNDS} scrolls`,
+      );
+    }
+
+    return { complete, itemCount: count };
+  }
+
+  // Public API
+  return {
+    findScrollContainer,
+    loadFullHistory,
+  };
+})();
+
+console.log(
+  "HistoryLoader module loaded and attached to window",
+  window.HistoryLoader,
+);
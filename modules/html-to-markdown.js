@@ -0,0 +1,397 @@
+// Universal Chat Log Export - HTML to Markdown Module
+
+/**
+ * HTML to Markdown Module
+ * Converts the rendered message nodes the DOM handlers scrape back into
+ * Markdown, keeping headings, emphasis, links, inline code, fenced code
+ * blocks with their language, nested lists, GFM tables and TeX math.
+ */
+window.HtmlToMarkdown = (() => {
+  // Elements that never carry message content
+  const DEFAULT_SKIP_SELECTOR = [
+    "button",
+    "script",
+    "style",
+    "noscript",
+    "template",
+    "svg",
+    "[role='button']",
+    ".sr-only",
+    ".cdk-visually-hidden",
+  ].join(", ");
+
+  // Elements rendered on their own lines
+  const BLOCK_TAGS = new Set([
+    "address",
+    "article",
+    "aside",
+    "blockquote",
+    "details",
+    "div",
+    "dl",
+    "figure",
+    "footer",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "header",
+    "hr",
+    "li",
+    "main",
+    "ol",
+    "p",
+    "pre",
+    "section",
+    "summary",
+    "table",
+    "ul",
+  ]);
+
+  // Marks a code block or image pulled out as its own part (see toParts)
+  const PLACEHOLDER = /\u0000(\d+)\u0000/;
+
+  /**
+   * Whether an element is laid out as a block
+   * @param {Node} node - DOM node
+   * @returns {boolean} True for block elements
+   */
+  function isBlock(node) {
+    return (
+      node.nodeType === Node.ELEMENT_NODE &&
+      BLOCK_TAGS.has(node.tagName.toLowerCase())
+    );
+  }
+
+  /**
+   * Backtick fence long enough to wrap the given text
+   * @param {string} text - Code text
+   * @param {number} min - Minimum fence length
+   * @returns {string} Fence
+   */
+  function fenceFor(text, min) {
+    const longest = Math.max(
+      0,
+      ...(text.match(/`+/g) || []).map((run) => run.length),
+    );
+    return "`".repeat(Math.max(min, longest + 1));
+  }
+
+  /**
+   * Read the language hint of a code block
+   * @param {Element} pre - Code block element
+   * @param {Object} ctx - Conversion context
+   * @returns {string} Lowercase language, or ""
+   */
+  function codeLanguage(pre, ctx) {
+    const code = pre.querySelector("code") || pre;
+    const classMatch = `${code.className} ${pre.className}`.match(
+      /(?:^|\s)(?:language|lang)-([\w+#-]+)/,
+    );
+    const language =
+      (classMatch && classMatch[1]) ||
+      code.getAttribute("data-language") ||
+      pre.getAttribute("data-language") ||
+      (ctx.options.codeLanguage && ctx.options.codeLanguage(pre)) ||
+      "";
+    return language.trim().toLowerCase();
+  }
+
+  /**
+   * Convert the children of a node
+   * @param {Node} node - Parent node
+   * @param {Object} ctx - Conversion context
+   * @returns {string} Markdown
+   */
+  function renderChildren(node, ctx) {
+    const children = Array.from(node.childNodes);
+    return children
+      .map((child, index) => {
+        // Whitespace between blocks is layout, not content
+        if (child.nodeType === Node.TEXT_NODE && !child.textContent.trim()) {
+          const prev = children[index - 1];
+          const next = children[index + 1];
+          if (!prev || !next || isBlock(prev) || isBlock(next)) return "";
+        }
+        return renderNode(child, ctx);
+      })
+      .join("");
+  }
+
+  /**
+   * Render a list, indenting nested content under each marker
+   * @param {Element} list - ul or ol element
+   * @param {Object} ctx - Conversion context
+   * @returns {string} Markdown
+   */
+  function renderList(list, ctx) {
+    const ordered = list.tagName.toLowerCase() === "ol";
+    const start = parseInt(list.getAttribute("start"), 10) || 1;
+    const inner = { ...ctx, inList: true };
+
+    const items = Array.from(list.children)
+      .filter((item) => item.tagName.toLowerCase() === "li")
+      .map((item, index) => {
+        const marker = ordered ? `${start + index}.` : "-";
+        const indent = " ".repeat(marker.length + 1);
+        // Keep nested lists tight under their parent item
+        const body = tidy(renderChildren(item, inner)).replace(
+          /\n{2,}(?=(?:-|\d+\.) )/g,
+          "\n",
+        );
+        return (
+          marker +
+          " " +
+          body
+            .split("\n")
+            .map((line, i) => (i === 0 || !line ? line : indent + line))
+            .join("\n")
+        );
+      });
+
+    return `\n\n${items.join("\n")}\n\n`;
+  }
+
+  /**
+   * Render a table as a GFM table; the first row is the header
+   * @param {Element} table - table element
+   * @param {Object} ctx - Conversion context
+   * @returns {string} Markdown
+   */
+  function renderTable(table, ctx) {
+    const inner = { ...ctx, inList: true };
+    const rows = Array.from(table.rows).map((row) =>
+      Array.from(row.cells).map((cell) =>
+        tidy(renderChildren(cell, inner))
+          .replace(/\n+/g, " ")
+          .replace(/\|/g, "\\|"),
+      ),
+    );
+    if (rows.length === 0) return "";
+
+    const width = Math.max(...rows.map((row) => row.length));
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+
+    return `\n\n${[
+      line(rows[0]),
+      line(Array(width).fill("---")),
+      ...rows.slice(1).map(line),
+    ].join("\n")}\n\n`;
+  }
+
+  /**
+   * Render a list, table, quote or link, whose Markdown cannot hold parts,
+   * and place the images collected inside it right after the outermost one
+   * @param {Object} ctx - Conversion context
+   * @param {Function} render - Renders the element
+   * @returns {string} Markdown
+   */
+  function withHoistedImages(ctx, render) {
+    const markdown = render();
+    if (ctx.inList || !ctx.hoisted) return markdown;
+    return markdown + ctx.hoisted.splice(0).join("");
+  }
+
+  /**
+   * Convert one node
+   * @param {Node} node - DOM node
+   * @param {Object} ctx - Conversion context
+   * @returns {string} Markdown
+   */
+  function renderNode(node, ctx) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, " ");
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    // Before the skip check: MathJax 2 keeps its TeX in a <script>
+    const math = window.MathRecovery.toTex(node);
+    if (math) return window.MathRecovery.toMarkdown(math);
+    if (window.MathRecovery.isRenderedOnly(node)) return "";
+
+    if (node.matches(ctx.skipSelector)) return "";
+
+    const tag = node.tagName.toLowerCase();
+    switch (tag) {
+      case "br":
+        return "\n";
+      case "hr":
+        return "\n\n---\n\n";
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6": {
+        const text = tidy(renderChildren(node, ctx)).replace(/\n+/g, " ");
+        return text ? `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n` : "";
+      }
+      case "p":
+      case "div":
+      case "section":
+      case "article":
+      case "figure":
+      case "details":
+      case "summary":
+        return `\n\n${renderChildren(node, ctx)}\n\n`;
+      case "strong":
+      case "b": {
+        const text = renderChildren(node, ctx).trim();
+        return text ? `**${text}**` : "";
+      }
+      case "em":
+      case "i": {
+        const text = renderChildren(node, ctx).trim();
+        return text ? `*${text}*` : "";
+      }
+      case "del":
+      case "s": {
+        const text = renderChildren(node, ctx).trim();
+        return text ? `~~${text}~~` : "";
+      }
+      case "code": {
+        if (node.closest("pre")) return node.textContent;
+        const text = node.textContent;
+        const fence = fenceFor(text, 1);
+        const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+        return text ? `${fence}${pad}${text}${pad}${fence}` : "";
+      }
+      case "a":
+        return withHoistedImages(ctx, () => {
+          const text = renderChildren(node, { ...ctx, inList: true }).trim();
+          const href = node.getAttribute("href") || "";
+          if (!text) return "";
+          if (!href || /^(javascript:|#)/i.test(href)) return text;
+          return `[${text}](${node.href || href})`;
+        });
+      case "img": {
+        const src = node.currentSrc || node.src || "";
+        const part = ctx.options.onImage ? ctx.options.onImage(node) : null;
+        if (part && ctx.parts) {
+          ctx.parts.push(part);
+          const placeholder = `\n\n\u0000${ctx.parts.length - 1}\u0000\n\n`;
+          if (!ctx.inList) return placeholder;
+          // Images in lists, tables and links follow them
+          ctx.hoisted.push(placeholder);
+          return "";
+        }
+        if (ctx.options.onImage && !part) return "";
+        return src ? `![${node.alt || ""}](${src})` : "";
+      }
+      case "pre": {
+        const code = (node.querySelector("code") || node).textContent.replace(
+          /\n$/,
+          "",
+        );
+        if (!code.trim()) return "";
+        const language = codeLanguage(node, ctx);
+        if (ctx.parts && !ctx.inList) {
+          ctx.parts.push({ text: code, language: language });
+          return `\n\n\u0000${ctx.parts.length - 1}\u0000\n\n`;
+        }
+        const fence = fenceFor(code, 3);
+        return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+      }
+      case "ul":
+      case "ol":
+        return withHoistedImages(ctx, () => renderList(node, ctx));
+      case "table":
+        return withHoistedImages(ctx, () => renderTable(node, ctx));
+      case "blockquote":
+        return withHoistedImages(ctx, () => {
+          const text = tidy(renderChildren(node, { ...ctx, inList: true }));
+          return `\n\n${text
+            .split("\n")
+            .map((line) => (line ? `> ${line}` : ">"))
+            .join("\n")}\n\n`;
+        });
+      default:
+        return renderChildren(node, ctx);
+    }
+  }
+
+  /**
+   * Trim trailing spaces and collapse runs of blank lines
+   * @param {string} markdown - Raw output
+   * @returns {string} Tidied Markdown
+   */
+  function tidy(markdown) {
+    return markdown
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n[ \t]+(?=\n)/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  /**
+   * Build a conversion context
+   * @param {Object} options - Conversion options
+   * @returns {Object} Context
+   */
+  function createContext(options) {
+    return {
+      options: options,
+      skipSelector: options.skipSelector
+        ? `${DEFAULT_SKIP_SELECTOR}, ${options.skipSelector}`
+        : DEFAULT_SKIP_SELECTOR,
+      inList: false,
+      parts: null,
+      hoisted: null,
+    };
+  }
+
+  /**
+   * Convert a rendered element to Markdown
+   * @param {Element} node - Message element
+   * @param {Object} [options] - Conversion options
+   * @param {string} [options.skipSelector] - Extra elements to drop (provider buttons, labels)
+   * @param {Function} [options.codeLanguage] - Language lookup for code blocks without a language class
+   * @param {Function} [options.onImage] - Returns an image part for content images, null to drop the image
+   * @returns {string} Markdown
+   */
+  function convert(node, options = {}) {
+    return tidy(renderNode(node, createContext(options)));
+  }
+
+  /**
+   * Convert a rendered element into ordered message parts. Top-level code
+   * blocks become code parts ({text, language}) and images the parts returned
+   * by options.onImage; the Markdown in between becomes text parts. Images
+   * inside a list, table, quote or link become parts right after it.
+   * @param {Element} node - Message element
+   * @param {Object} [options] - Same options as convert()
+   * @returns {Array<Object>} Message parts
+   */
+  function toParts(node, options = {}) {
+    const ctx = createContext(options);
+    ctx.parts = [];
+    ctx.hoisted = [];
+    const markdown = renderNode(node, ctx);
+
+    const parts = [];
+    markdown.split(PLACEHOLDER).forEach((chunk, index) => {
+      // split() alternates text and captured placeholder indexes
+      if (index % 2 === 1) {
+        parts.push(ctx.parts[Number(chunk)]);
+        return;
+      }
+      const text = tidy(chunk);
+      if (text) parts.push({ text: text });
+    });
+    return parts;
+  }
+
+  // Public API
+  return {
+    convert,
+    toParts,
+  };
+})();
+
+console.log(
+  "HtmlToMarkdown module loaded and attached to window",
+  window.HtmlToMarkdown,
+);
@@ -0,0 +1,417 @@
+// Universal Chat Log Export - HTML Viewer Module
+
+/**
+ * HTML Viewer Module
+ * Builds a self-contained index.html that renders an exported conversation as
+ * chat bubbles. The page has no external dependencies so it can be opened
+ * straight from the unzipped folder.
+ */
+window.HtmlViewer = (() => {
+  const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "webp", "bmp", "svg"];
+
+  const STYLES = `
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f4f4f5; color: #1f2937; }
+    header { position: sticky; top: 0; z-index: 1; background: #1e1e1e; color: #e3e3e3; padding: 12px 20px; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; }
+    header h1 { font-size: 18px; margin: 0; flex: 1 1 auto; }
+    header .meta { font-size: 12px; color: #a1a1aa; }
+    #search { padding: 6px 10px; border-radius: 6px; border: 1px solid #444; background: #2a2a2a; color: #e3e3e3; min-width: 220px; }
+    #search-count { font-size: 12px; color: #a1a1aa; }
+    main { max-width: 900px; margin: 0 auto; padding: 20px; display: flex; flex-direction: column; gap: 14px; }
+    .message { display: flex; flex-direction: column; max-width: 85%; }
+    .message.user { align-self: flex-end; }
+    .message.hidden { display: none; }
+    .bubble { padding: 12px 16px; border-radius: 14px; background: #fff; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow-wrap: anywhere; }
+    .message.user .bubble { background: #dbeafe; }
+    .message.tool .bubble { background: #fef3c7; }
+    .label { font-size: 12px; color: #6b7280; margin: 0 6px 4px; }
+    .message.user .label { text-align: right; }
+    .bubble p { margin: 0 0 10px; white-space: pre-wrap; }
+    .bubble p:last-child { margin-bottom: 0; }
+    .bubble img { max-width: 100%; border-radius: 8px; display: block; margin: 8px 0; }
+    .bubble blockquote { margin: 0 0 10px; padding-left: 10px; border-left: 3px solid #d4d4d8; color: #52525b; white-space: pre-wrap; }
+    details.code { margin: 8px 0; border: 1px solid #e4e4e7; border-radius: 8px; background: #18181b; color: #e4e4e7; }
+    details.code summary { cursor: pointer; padding: 6px 10px; font-size: 12px; color: #a1a1aa; }
+    details.code pre { margin: 0; padding: 10px; overflow-x: auto; font-size: 13px; }
+    code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+    p code { background: #f4f4f5; padding: 1px 4px; border-radius: 4px; }
+    h2.thread { font-size: 16px; margin: 16px 0 0; padding-bottom: 6px; border-bottom: 1px solid #d4d4d8; }
+    .branch-point, .branch { align-self: center; font-size: 12px; color: #6b7280; background: #e4e4e7; padding: 4px 10px; border-radius: 999px; }
+    .branch { background: #ede9fe; color: #5b21b6; }
+  `;
+
+  // Search runs against the rendered DOM, so it works from file:// URLs
+  const SCRIPT = `
+    (function () {
+      var input = document.getElementById("search");
+      var counter = document.getElementById("search-count");
+      var messages = Array.prototype.slice.call(document.querySelectorAll(".message"));
+      input.addEventListener("input", function () {
+        var query = input.value.trim().toLowerCase();
+        var shown = 0;
+        messages.forEach(function (el) {
+          var match = !query || el.textContent.toLowerCase().indexOf(query) !== -1;
+          el.classList.toggle("hidden", !match);
+          if (match) shown++;
+        });
+        counter.textContent = query ? shown + " of " + messages.length + " messages" : "";
+      });
+    })();
+  `;
+
+  const INDEX_STYLES = `
+    table { width: 100%; border-collapse: collapse; background: #fff; box-shadow: 0 1px 3px rgba(0,0,0,0.1); border-radius: 8px; overflow: hidden; }
+    th, td { padding: 8px 12px; text-align: left; font-size: 14px; border-bottom: 1px solid #e4e4e7; }
+    th { background: #fafafa; font-size: 12px; color: #6b7280; }
+    td.id { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; color: #6b7280; }
+    tr.hidden { display: none; }
+    tr.failed td { color: #b91c1c; }
+  `;
+
+  // Same search as the conversation page, over the index rows
+  const INDEX_SCRIPT = `
+    (function () {
+      var input = document.getElementById("search");
+      var counter = document.getElementById("search-count");
+      var rows = Array.prototype.slice.call(document.querySelectorAll("tr.entry"));
+      input.addEventListener("input", function () {
+        var query = input.value.trim().toLowerCase();
+        var shown = 0;
+        rows.forEach(function (el) {
+          var match = !query || el.textContent.toLowerCase().indexOf(query) !== -1;
+          el.classList.toggle("hidden", !match);
+          if (match) shown++;
+        });
+        counter.textContent = query ? shown + " of " + rows.length + " conversations" : "";
+      });
+    })();
+  `;
+
+  /**
+   * Escape text for safe insertion into HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Relative URL of a file in the media/ folder
+   * @param {string} filename - Media filename
+   * @returns {string} Relative URL
+   */
+  function mediaUrl(filename) {
+    return `media/${encodeURIComponent(filename)}`;
+  }
+
+  /**
+   * Render a media file as an inline image or a download link
+   * @param {string} filename - Media filename
+   * @returns {string} HTML
+   */
+  function renderMedia(filename) {
+    const ext = filename.split(".").pop().toLowerCase();
+    if (IMAGE_EXTENSIONS.includes(ext)) {
+      return `<a href="${mediaUrl(filename)}"><img src="${mediaUrl(filename)}" alt="${escapeHtml(filename)}" loading="lazy"></a>`;
+    }
+    return `<p><a href="${mediaUrl(filename)}">📎 ${escapeHtml(filename)}</a></p>`;
+  }
+
+  /**
+   * Render a collapsible code block
+   * @param {string} code - Code text
+   * @param {string} language - Language hint
+   * @returns {string} HTML
+   */
+  function renderCode(code, language) {
+    const lines = code.replace(/\n$/, "").split("\n").length;
+    const label = `${language || "code"} · ${lines} line${lines === 1 ? "" : "s"}`;
+    return `<details class="code" open><summary>${escapeHtml(label)}</summary><pre><code>${escapeHtml(code.replace(/\n$/, ""))}</code></pre></details>`;
+  }
+
+  /**
+   * Render inline Markdown (code spans, bold, italics and links)
+   * @param {string} text - Paragraph text
+   * @returns {string} HTML
+   */
+  function renderInline(text) {
+    const spans = [];
+    let html = escapeHtml(text).replace(/`([^`\n]+)`/g, (match, code) => {
+      spans.push(`<code>${code}</code>`);
+      return `\u0000${spans.length - 1}\u0000`;
+    });
+
+    html = html
+      .replace(/\*\*([^*\n]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^*])\*([^*\n]+)\*/g, "$1<em>$2</em>")
+      .replace(
+        /\[([^\]\n]+)\]\((https?:[^)\s]+)\)/g,
+        '<a href="$2" target="_blank" rel="noopener">$1</a>',
+      );
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, i) => spans[i]);
+  }
+
+  /**
+   * Render a Markdown text part: fenced code becomes collapsible blocks, the
+   * remaining text is split into paragraphs
+   * @param {string} text - Markdown text
+   * @returns {string} HTML
+   */
+  function renderText(text) {
+    const html = [];
+    const fenceRegex = /^(`{3,}|~{3,})([^\n`]*)\n([\s\S]*?)\n\1[ \t]*$/gm;
+    let lastIndex = 0;
+    let match;
+
+    const pushParagraphs = (chunk) => {
+      chunk
+        .split(/\n{2,}/)
+        .map((para) => para.trim())
+        .filter(Boolean)
+        .forEach((para) => html.push(`<p>${renderInline(para)}</p>`));
+    };
+
+    while ((match = fenceRegex.exec(text)) !== null) {
+      pushParagraphs(text.slice(lastIndex, match.index));
+      html.push(renderCode(match[3], match[2].trim()));
+      lastIndex = fenceRegex.lastIndex;
+    }
+    pushParagraphs(text.slice(lastIndex));
+
+    return html.join("\n");
+  }
+
+  /**
+   * Render one content part
+   * @param {Object} part - Normalized content part
+   * @returns {string} HTML
+   */
+  function renderPart(part) {
+    switch (part.type) {
+      case "code":
+        return renderCode(part.text, part.language);
+      case "thinking":
+        return `<blockquote>${escapeHtml(part.text)}</blockquote>`;
+      case "image":
+        return part.filename
+          ? renderMedia(part.filename)
+          : `<p><em>[Image not included: ${escapeHtml(part.assetPointer)}]</em></p>`;
+      case "artifact":
+        return `<p><a href="artifacts/${encodeURIComponent(part.filename)}">🧩 ${escapeHtml(part.title)} · v${part.version}</a></p>`;
+      default:
+        return renderText(part.text);
+    }
+  }
+
+  /**
+   * Render one message as a chat bubble
+   * @param {Object} msg - Normalized message
+   * @param {string} source - Provider display name
+   * @returns {string} HTML
+   */
+  function renderMessage(msg, source) {
+    const roleClass = ["user", "tool"].includes(msg.role)
+      ? msg.role
+      : "assistant";
+    let label = msg.role === "user" ? "User" : source || "Assistant";
+    if (msg.role === "tool")
+      label = msg.author ? `Tool (${msg.author})` : "Tool";
+    if (msg.model) label += ` · ${msg.model}`;
+    if (msg.createdAt)
+      label += ` · ${new Date(msg.createdAt).toLocaleString()}`;
+
+    const body = msg.content
+      .map(renderPart)
+      .concat(
+        window.TranscriptBuilder.attachedFiles(msg).map((att) =>
+          att.filename
+            ? renderMedia(att.filename)
+            : `<p><em>[Attachment unavailable: ${escapeHtml(att.name)}]</em></p>`,
+        ),
+      )
+      .join("\n");
+
+    return `<section class="message ${roleClass}" id="msg-${escapeHtml(msg.id || "")}">
+  <div class="label">${escapeHtml(label)}</div>
+  <div class="bubble">
+${body}
+  </div>
+</section>`;
+  }
+
+  /**
+   * Render one layout block (message, thread heading or branch marker)
+   * @param {Object} block - Block from TranscriptBuilder.layout
+   * @param {string} source - Provider display name
+   * @returns {string} HTML
+   */
+  function renderBlock(block, source) {
+    const active = block.active ? " (active)" : "";
+    switch (block.kind) {
+      case "thread":
+        return `<h2 class="thread">Thread ${block.number}${active}</h2>`;
+      case "branchPoint":
+        return `<div class="branch-point">⑂ Branch point: ${block.count} alternative replies follow</div>`;
+      case "branch":
+        return `<div class="branch">⑂ Branch ${block.index} of ${block.count}${active}</div>`;
+      default:
+        return renderMessage(block.msg, source);
+    }
+  }
+
+  /**
+   * Build the index.html page for an export
+   * @param {Object} conversation - Normalized conversation
+   * @param {string} source - Provider display name (e.g. "ChatGPT")
+   * @returns {string} Complete HTML document
+   */
+  function build(conversation, source) {
+    const title = conversation.title;
+    const messages = conversation.messages;
+    const meta = `${source || conversation.provider} · ${messages.length} messages · exported ${new Date(conversation.exportedAt).toLocaleString()}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <span class="meta">${escapeHtml(meta)}</span>
+  <input id="search" type="search" placeholder="Search messages…" aria-label="Search messages">
+  <span id="search-count"></span>
+</header>
+<main>
+${window.TranscriptBuilder.layout(conversation)
+  .map((block) => renderBlock(block, source))
+  .join("\n")}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Format an ISO date for the index table
+   * @param {string|null} iso - ISO 8601 timestamp
+   * @returns {string} Local date and time, or an empty string
+   */
+  function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleString() : "";
+  }
+
+  /**
+   * Build the index.html page of a bulk export, linking to each
+   * conversation's own viewer
+   * @param {Object} index - Bulk export index (see BulkExporter)
+   * @param {string} source - Provider display name
+   * @returns {string} Complete HTML document
+   */
+  function buildIndex(index, source) {
+    const title = `${source || index.provider} export`;
+    const parts = index.parts ? ` · ${index.parts.length} parts` : "";
+    const meta = `${index.conversationCount} conversations${parts} · exported ${new Date(index.exportedAt).toLocaleString()}`;
+
+    // Provider-specific columns only appear when some entry has them
+    const has = (key) =>
+      index.conversations.some((entry) => entry[key] !== undefined);
+    const columns = [
+      { label: "Project", show: has("project") },
+      { label: "Starred", show: has("starred") },
+      { label: "Model", show: has("model") },
+    ].filter((column) => column.show);
+
+    const optionalCells = (entry) =>
+      columns
+        .map((column) => {
+          switch (column.label) {
+            case "Project":
+              return `<td>${escapeHtml((entry.project && entry.project.name) || "")}</td>`;
+            case "Starred":
+              return `<td>${entry.starred ? "★" : ""}</td>`;
+            default:
+              return `<td>${escapeHtml(entry.model || "")}</td>`;
+          }
+        })
+        .join("");
+
+    // In a split export this page is in part 1; other parts' folders sit
+    // next to it once extracted
+    const href = (entry) => {
+      const folder = `${encodeURIComponent(entry.folder)}/index.html`;
+      if (!index.parts || entry.part === 1) return folder;
+      return `../${encodeURIComponent(index.parts[entry.part - 1].folder)}/${folder}`;
+    };
+
+    const rows = index.conversations
+      .map((entry) => {
+        const name = entry.folder
+          ? `<a href="${href(entry)}">${escapeHtml(entry.title)}</a>`
+          : `${escapeHtml(entry.title)} <em>(failed: ${escapeHtml(entry.error || "unknown error")})</em>`;
+        return `<tr class="entry${entry.error ? " failed" : ""}">
+  <td>${name}</td>
+  ${optionalCells(entry)}
+  <td>${escapeHtml(formatDate(entry.createdAt))}</td>
+  <td>${escapeHtml(formatDate(entry.updatedAt))}</td>
+  <td>${entry.mediaCount || 0}</td>
+  <td class="id">${escapeHtml(entry.id)}</td>
+</tr>`;
+      })
+      .join("\n");
+    const headings = ["Title"]
+      .concat(columns.map((column) => column.label))
+      .concat(["Created", "Updated", "Media", "ID"])
+      .map((label) => `<th>${label}</th>`)
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}${INDEX_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <span class="meta">${escapeHtml(meta)}</span>
+  <input id="search" type="search" placeholder="Search conversations…" aria-label="Search conversations">
+  <span id="search-count"></span>
+</header>
+<main>
+<table>
+<thead><tr>${headings}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</main>
+<script>${INDEX_SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  // Public API
+  return {
+    build,
+    buildIndex,
+  };
+})();
+
+console.log(
+  "HtmlViewer module loaded and attached to window",
+  window.HtmlViewer,
+);
@@ -0,0 +1,156 @@
+// Universal Chat Log Export - Math Recovery Module
+
+/**
+ * Math Recovery Module
+ * Rendered math (KaTeX, MathJax, Gemini's data-math blocks) reads as garbled
+ * Unicode through innerText. This recovers the original TeX so it can be
+ * written back as $...$ (inline) or $$...$$ (display).
+ */
+window.MathRecovery = (() => {
+  // Elements that wrap one rendered formula
+  const MATH_SELECTOR = [
+    ".katex-display",
+    ".katex",
+    "mjx-container",
+    "script[type^='math/tex']",
+    "[data-math]",
+    "math",
+  ].join(", ");
+
+  // MathJax 2 output that sits next to its math/tex script
+  const RENDERED_ONLY_SELECTOR = [
+    ".MathJax",
+    ".MathJax_Display",
+    ".MathJax_Preview",
+    ".MathJax_SVG",
+    ".MathJax_SVG_Display",
+  ].join(", ");
+
+  // \[ ... \] that does not cross a paragraph break or another \[. A
+  // backslash before the \[ makes it a literal bracket (or TeX's \\[2pt]),
+  // and a path segment right after the \] makes it a Windows path.
+  const DISPLAY_PATTERN =
+    /(?<!\\)\\\[((?:(?!\n\s*\n|(?<!\\)\\\[)[\s\S])+?)\\\](?!\\[a-zA-Z])/g;
+  // \( ... \) on one line, not containing another \(; same rules
+  // (Program Files \(x86\)\App is a path)
+  const INLINE_PATTERN = /(?<!\\)\\\(((?:(?!\\\()[^\n])+?)\\\)(?!\\[a-zA-Z])/g;
+
+  /**
+   * Read the TeX annotation KaTeX and MathML keep next to the rendering
+   * @param {Element} el - Math element
+   * @returns {string|null} TeX source
+   */
+  function annotationOf(el) {
+    const annotation = el.querySelector(
+      "annotation[encoding='application/x-tex']",
+    );
+    return annotation ? annotation.textContent : null;
+  }
+
+  /**
+   * Recover the TeX source of a rendered formula
+   * @param {Element} el - Element to check
+   * @returns {{tex: string, display: boolean}|null} Formula, or null if the
+   *   element is not math or its source is not in the page
+   */
+  function toTex(el) {
+    if (!el.matches(MATH_SELECTOR)) return null;
+
+    let tex = null;
+    let display = false;
+
+    if (el.matches("[data-math]")) {
+      // Gemini
+      tex = el.getAttribute("data-math");
+      display = el.classList.contains("math-block") || el.tagName === "DIV";
+    } else if (el.matches("script")) {
+      // MathJax 2
+      tex = el.textContent;
+      display = /mode=display/.test(el.type);
+    } else if (el.matches("mjx-container")) {
+      // MathJax 3
+      tex = annotationOf(el) || el.getAttribute("data-latex");
+      display = el.getAttribute("display") === "true";
+    } else if (el.matches("math")) {
+      tex = annotationOf(el);
+      display = el.getAttribute("display") === "block";
+    } else {
+      // KaTeX
+      tex = annotationOf(el);
+      display =
+        el.classList.contains("katex-display") ||
+        Boolean(el.closest(".katex-display"));
+    }
+
+    if (!tex || !tex.trim()) return null;
+    return { tex: tex.trim(), display };
+  }
+
+  /**
+   * Whether an element only holds a rendering whose source is elsewhere
+   * @param {Element} el - Element to check
+   * @returns {boolean} True for MathJax 2 output
+   */
+  function isRenderedOnly(el) {
+    return el.matches(RENDERED_ONLY_SELECTOR);
+  }
+
+  /**
+   * Format a formula with Markdown math delimiters
+   * @param {{tex: string, display: boolean}} math - Formula
+   * @returns {string} $...$ or $$...$$
+   */
+  function toMarkdown(math) {
+    return math.display ? `\n\n$$\n${math.tex}\n$$\n\n` : `$${math.tex}$`;
+  }
+
+  /**
+   * Whether delimited text reads as a formula rather than prose that happens
+   * to contain \( or \[ (escaped Markdown brackets, regexes, file paths)
+   * @param {string} tex - Text between the delimiters
+   * @returns {boolean} True for TeX commands, sub/superscripts, equations
+   *   and short symbolic text such as "x" or "f(x)"
+   */
+  function looksLikeMath(tex) {
+    // Regex escapes (\d, \w, \s) are not TeX
+    if (/\\[dDwWsS](?![a-zA-Z])/.test(tex)) return false;
+    if (/\\[a-zA-Z]{2,}|[=^_{}]/.test(tex)) return true;
+    return /[a-zA-Z0-9]/.test(tex) && !/[a-zA-Z]{3,}/.test(tex);
+  }
+
+  /**
+   * Rewrite \( \) and \[ \] delimiters as $ and $$, leaving code untouched.
+   * Only pairs whose contents look like math are rewritten.
+   * @param {string} text - Markdown text
+   * @returns {string} Text with dollar delimiters
+   */
+  function normalizeDelimiters(text) {
+    // Odd indexes are fenced blocks or inline code spans
+    return text
+      .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+      .map((chunk, index) => {
+        if (index % 2 === 1) return chunk;
+        return chunk
+          .replace(DISPLAY_PATTERN, (match, tex) =>
+            looksLikeMath(tex) ? `$$${tex}$$` : match,
+          )
+          .replace(INLINE_PATTERN, (match, tex) =>
+            looksLikeMath(tex) ? `$${tex.trim()}$` : match,
+          );
+      })
+      .join("");
+  }
+
+  // Public API
+  return {
+    toTex,
+    isRenderedOnly,
+    toMarkdown,
+    normalizeDelimiters,
+  };
+})();
+
+console.log(
+  "MathRecovery module loaded and attached to window",
+  window.MathRecovery,
+);
@@ -0,0 +1,405 @@
+// Universal Chat Log Export - Media Resolver Module
+
+/**
+ * Media Resolver Module
+ * Turns a media item from a handler into file contents by running an ordered
+ * chain of strategies until one returns a real file:
+ *   1. rendered - the URL the page rendered (or the handler found)
+ *   2. sas_url - a signed storage URL found in the conversation JSON
+ *   3. download_endpoint - ChatGPT's files API, which answers with a signed
+ *      download URL; signed URLs are cached per export session until they
+ *      expire
+ *   4. background - the background script, which is not bound by CORS
+ * Every request is recorded as a {strategy, url, status, error} attempt for
+ * the export report. Strategies can be added with register().
+ */
+window.MediaResolver = (() => {
+  const CHATGPT_HOSTS = ["chatgpt.com", "chat.openai.com"];
+
+  // Hosts whose files only the background script can fetch
+  const BACKGROUND_HOSTS = [
+    "googleusercontent.com",
+    "anthropic.com",
+    "claude.ai",
+  ];
+
+  // Smaller files are checked for an error message served as the file
+  const ERROR_CHECK_SIZE = 2000;
+
+  // Signed URLs this close to their expiry are resolved again
+  const EXPIRY_MARGIN = 30 * 1000;
+  // Storage answers these for signed URLs that expired or were revoked
+  const EXPIRED_STATUSES = [401, 403];
+
+  /**
+   * Whether a value is an http(s) URL
+   * @param {*} url - Value
+   * @returns {boolean} True for http(s) URLs
+   */
+  function isHttp(url) {
+    return typeof url === "string" && url.startsWith("http");
+  }
+
+  /**
+   * URL the page rendered for an item. Handlers that track it separately
+   * set renderedUrl (possibly null); others only have url.
+   * @param {Object} item - Media item
+   * @returns {string|null} URL
+   */
+  function renderedUrl(item) {
+    return ("renderedUrl" in item ? item.renderedUrl : item.url) || null;
+  }
+
+  /**
+   * Origin of the ChatGPT backend, preferring the one the exported page is
+   * on (this runs in the offscreen document, so its own location is the
+   * extension's)
+   * @param {Object} session - Export session
+   * @returns {string} Origin
+   */
+  function chatgptOrigin(session) {
+    try {
+      const page = new URL(session.origin);
+      if (CHATGPT_HOSTS.includes(page.hostname)) return page.origin;
+    } catch (e) {
+      // No page origin given
+    }
+    return "https://chatgpt.com";
+  }
+
+  /**
+   * fetch() options for a request. Only ChatGPT's backend gets the access
+   * token and the site's cookies; the resolver runs in the offscreen
+   * document, so the site is never same-origin.
+   * @param {string} url - URL
+   * @param {Object} session - Export session
+   * @returns {Object} fetch() options
+   */
+  function requestInit(url, session) {
+    if (!url.includes("/backend-api/")) return {};
+    return {
+      credentials: "include",
+      headers: session.authToken
+        ? { Authorization: `Bearer ${session.authToken}` }
+        : {},
+    };
+  }
+
+  /**
+   * Throw if a signed URL has expired, rather than requesting it
+   * @param {string} url - URL
+   */
+  function checkExpiry(url) {
+    const expiry = window.MediaUrlGenerator.signedUrlExpiry(url);
+    if (expiry !== null && expiry - EXPIRY_MARGIN <= Date.now()) {
+      throw new Error(
+        `Signed URL expired at ${new Date(expiry).toISOString()}`,
+      );
+    }
+  }
+
+  /**
+   * Start an export session: state shared by every media item of one export
+   * @param {Object} [options] - Session options
+   * @param {string|null} [options.authToken] - ChatGPT access token, if any
+   * @param {string|null} [options.origin] - Origin of the page the export
+   *   came from
+   * @returns {{authToken: string|null, origin: string|null, signedUrls: Map, endpoint: number}}
+   *   Session; signedUrls maps ChatGPT file ids to signed download URLs and
+   *   endpoint is the download endpoint that last answered
+   */
+  function createSession(options = {}) {
+    return {
+      authToken: options.authToken || null,
+      origin: options.origin || null,
+      signedUrls: new Map(),
+      endpoint: 0,
+    };
+  }
+
+  /**
+   * Signed download URL of a ChatGPT file, from the session cache or the
+   * files API
+   * @param {Object} item - Media item with a sediment:// or file-service://
+   *   assetPointer
+   * @param {Object} session - Export session
+   * @param {Function} record - Records an attempt; see resolve()
+   * @returns {Promise<string>} Signed URL
+   */
+  async function signedUrlFor(item, session, record) {
+    const fileId = window.MediaUrlGenerator.fileIdFromPointer(
+      item.assetPointer,
+    );
+    const cached = session.signedUrls.get(fileId);
+    if (cached) {
+      try {
+        checkExpiry(cached);
+        return cached;
+      } catch (e) {
+        session.signedUrls.delete(fileId);
+      }
+    }
+
+    // The endpoint that answered last is tried first
+    const endpoints = window.MediaUrlGenerator.downloadEndpoints(
+      fileId,
+      chatgptOrigin(session),
+      item.conversationId || null,
+    );
+    const order = [
+      session.endpoint,
+      ...endpoints.map((_, i) => i).filter((i) => i !== session.endpoint),
+    ];
+
+    let lastError = null;
+    for (const index of order) {
+      const attempt = record("download_endpoint", endpoints[index]);
+      try {
+        const response = await window.RequestScheduler.fetch(
+          endpoints[index],
+          requestInit(endpoints[index], session),
+        );
+        attempt.status = response.status;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const json = await response.json();
+        if (json.status === "error" || json.detail) {
+          throw new Error(`API Error: ${json.detail || json.error_code}`);
+        }
+        const url = window.MediaUrlGenerator.parseJsonForFileUrl(json);
+        if (!url) throw new Error("Response has no download URL");
+
+        session.endpoint = index;
+        session.signedUrls.set(fileId, url);
+        return url;
+      } catch (e) {
+        attempt.error = e.message;
+        lastError = e;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Fetch a file, following the JSON reply some endpoints give instead of
+   * the file ({"status": "success", "download_url": ...})
+   * @param {string} url - URL
+   * @param {Object} init - fetch() options
+   * @param {Function} record - Records an attempt; see resolve()
+   * @param {string} strategy - Strategy name for the first request
+   * @returns {Promise<Blob>} File contents
+   */
+  async function fetchFile(url, init, record, strategy) {
+    let attempt = record(strategy, url);
+    checkExpiry(url);
+    let response = await window.RequestScheduler.fetch(url, init);
+    attempt.status = response.status;
+
+    const contentType = response.headers.get("content-type");
+    if (
+      response.ok &&
+      contentType &&
+      contentType.includes("application/json")
+    ) {
+      const json = await response.json();
+      if (json.status === "error" || json.detail) {
+        throw new Error(`API Error: ${json.detail || json.error_code}`);
+      }
+
+      const fileUrl = window.MediaUrlGenerator.parseJsonForFileUrl(json);
+      if (!fileUrl) throw new Error("Response is JSON without a file URL");
+
+      // Signed URLs carry their own authorization
+      attempt = record("download_url", fileUrl);
+      checkExpiry(fileUrl);
+      response = await window.RequestScheduler.fetch(fileUrl);
+      attempt.status = response.status;
+    }
+
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.blob();
+  }
+
+  /**
+   * Fetch a URL through the background script
+   * @param {string} url - URL
+   * @param {Object} attempt - Attempt record to fill in
+   * @returns {Promise<Blob>} File contents
+   */
+  async function fetchInBackground(url, attempt) {
+    const response = await window.RequestScheduler.run(
+      url,
+      () =>
+        new Promise((resolve) => {
+          chrome.runtime.sendMessage(
+            { action: "fetchBlobBase64", url: url },
+            resolve,
+          );
+        }),
+      // HTTP errors come back with their status and Retry-After
+      (response) => response && !response.success && response,
+    );
+    if (response && response.success) {
+      const res = await fetch(response.data);
+      return res.blob();
+    }
+
+    if (response && response.status) attempt.status = response.status;
+    throw new Error((response && response.error) || "No response");
+  }
+
+  // Each strategy: name, applies(item, session) and
+  // resolve(item, session, record) returning a Blob, or throwing
+  const strategies = [
+    {
+      name: "rendered",
+      applies: (item) => {
+        const url = renderedUrl(item);
+        return (
+          Boolean(item.dataUrl) ||
+          (isHttp(url) &&
+            !item.isRemote &&
+            !BACKGROUND_HOSTS.some((host) => url.includes(host)))
+        );
+      },
+      resolve: async (item, session, record) => {
+        const url = renderedUrl(item);
+        // blob: URLs only resolve in the page, which reads them into data:
+        // URLs before handing the item over (see ArchiveClient)
+        if (item.dataUrl) {
+          record("rendered", url);
+          return (await fetch(item.dataUrl)).blob();
+        }
+        return fetchFile(url, requestInit(url, session), record, "rendered");
+      },
+    },
+    {
+      name: "sas_url",
+      applies: (item) =>
+        isHttp(item.sasUrl) && item.sasUrl !== renderedUrl(item),
+      resolve: (item, session, record) =>
+        fetchFile(item.sasUrl, {}, record, "sas_url"),
+    },
+    {
+      name: "download_endpoint",
+      applies: (item, session) =>
+        Boolean(
+          session.authToken &&
+          window.MediaUrlGenerator.fileIdFromPointer(item.assetPointer),
+        ),
+      resolve: async (item, session, record) => {
+        const fileId = window.MediaUrlGenerator.fileIdFromPointer(
+          item.assetPointer,
+        );
+        for (let pass = 0; ; pass++) {
+          const url = await signedUrlFor(item, session, record);
+          const attempt = record("download_url", url);
+          const response = await window.RequestScheduler.fetch(url);
+          attempt.status = response.status;
+          if (response.ok) return response.blob();
+
+          // A signed URL that expired mid-export is resolved once more
+          session.signedUrls.delete(fileId);
+          if (pass > 0 || !EXPIRED_STATUSES.includes(response.status)) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          attempt.error = `HTTP ${response.status}, signed URL expired`;
+        }
+      },
+    },
+    {
+      name: "background",
+      applies: (item) => isHttp(renderedUrl(item) || item.sasUrl),
+      resolve: (item, session, record) => {
+        const url = renderedUrl(item) || item.sasUrl;
+        return fetchInBackground(url, record("background", url));
+      },
+    },
+  ];
+
+  /**
+   * Check whether a fetched file is really an error message
+   * @param {Blob} blob - File contents
+   * @returns {Promise<string|null>} The error text, or null for real files
+   */
+  async function errorBody(blob) {
+    if (blob.size >= ERROR_CHECK_SIZE) return null;
+    const text = await blob.text();
+    return text.startsWith("{") &&
+      (text.includes('"error"') || text.includes('"detail"'))
+      ? text.slice(0, 200)
+      : null;
+  }
+
+  /**
+   * Fetch one media file, trying each applicable strategy in order
+   * @param {Object} item - Media item from a handler
+   * @param {Object} [session] - Export session from createSession()
+   * @param {Array<Object>} [attempts] - Receives one {strategy, url, status,
+   *   error} record per request made, for the export report
+   * @returns {Promise<Blob|null>} File contents, or null if no strategy worked
+   */
+  async function resolve(item, session = createSession(), attempts = []) {
+    const record = (strategy, url) => {
+      const attempt = { strategy, url, status: null };
+      attempts.push(attempt);
+      return attempt;
+    };
+    record.last = () => attempts[attempts.length - 1];
+
+    for (const strategy of strategies) {
+      if (!strategy.applies(item, session)) continue;
+
+      const before = attempts.length;
+      try {
+        const blob = await strategy.resolve(item, session, record);
+        const error = await errorBody(blob);
+        if (!error) return blob;
+        record.last().error = `Response is an error message, not a file: ${error}`;
+      } catch (e) {
+        if (attempts.length === before) record(strategy.name, null);
+        record.last().error = e.message;
+        console.warn(
+          `${strategy.name} failed for ${item.filename}: ${e.message}`,
+        );
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add a strategy to the chain
+   * @param {Object} strategy - {name, applies(item, session),
+   *   resolve(item, session, record)}; resolve returns a Blob or throws, and
+   *   calls record(strategyName, url) for each request it makes
+   * @param {Object} [options] - Placement
+   * @param {string} [options.before] - Name of the strategy to run before;
+   *   appended to the chain when omitted or unknown
+   */
+  function register(strategy, options = {}) {
+    const index = strategies.findIndex((s) => s.name === options.before);
+    if (index === -1) strategies.push(strategy);
+    else strategies.splice(index, 0, strategy);
+  }
+
+  /**
+   * Names of the strategies in the order they run
+   * @returns {Array<string>} Names
+   */
+  function strategyNames() {
+    return strategies.map((strategy) => strategy.name);
+  }
+
+  // Public API
+  return {
+    createSession,
+    resolve,
+    register,
+    strategyNames,
+  };
+})();
+
+console.log(
+  "MediaResolver module loaded and attached to window",
+  window.MediaResolver,
+);
@@ -40,124 +40,65 @@ window.MediaUrlGenerator.constructMediaUrl = function(mediaRef) {
 };
 
 /**
- * Generate alternative URLs to try for a file
- * @param {string} fileId - File identifier
- * @param {string} domain - Domain
- * @returns {Array<string>} Array of URLs to try
+ * Extract the file ID from a ChatGPT asset pointer
+ * @param {string} pointer - Asset pointer (sediment://file_... or file-service://file-...)
+ * @returns {string|null} File ID or null if the pointer is not a file reference
  */
-window.MediaUrlGenerator.generateAlternativeUrls = function(fileId, domain) {
-  const baseUrl = `https://${domain}`;
-  
-  // Need different strategies based on the file ID format
-  // DALL-E images (new format): sediment://file_XXXXX
-  // DALL-E images (old format): sediment://XXXXX
-  // User uploads: file-service://file-XXXXX
-  
-  const isDalleImageNew = fileId.includes('sediment://file_') || fileId.startsWith('file_');
-  const isDalleImageOld = fileId.includes('sediment://') && !fileId.includes('sediment://file_');
-  const isUserUpload = fileId.includes('file-service://') || fileId.includes('file-');
-  
-  // Clean the file ID - remove any protocol prefixes
-  let cleanId = fileId;
-  
-  // For new DALL-E images (sediment://file_XXXXX format)
-  if (isDalleImageNew) {
-    // If full sediment protocol, extract just the ID
-    if (fileId.includes('sediment://')) {
-      cleanId = fileId.split('sediment://')[1];
-    }
-    
-    // Handle both with and without file_ prefix
-    const hasFilePrefix = cleanId.startsWith('file_');
-    const withoutFilePrefix = hasFilePrefix ? cleanId.substring(5) : cleanId;
-    const withFilePrefix = hasFilePrefix ? cleanId : `file_${cleanId}`;
-    
-    // For sediment files, the ID format is often UUID-like with hyphens
-    // Extract the UUID format by removing file_ if present
-    const fileUuid = withoutFilePrefix.includes('-') ? withoutFilePrefix : 
-                     withoutFilePrefix.replace(/([0-9a-f]{8})([0-9a-f]{4})([0-9a-f]{4})([0-9a-f]{4})([0-9a-f]{12})/, '$1-$2-$3-$4-$5');
+window.MediaUrlGenerator.fileIdFromPointer = function(pointer) {
+  const match = (pointer || '').match(/^(sediment|file-service):\/\/(.+)$/);
+  return match ? match[2] : null;
+};
 
-    // Generate optimized URLs to try - focusing on known working patterns
-    const urls = [];
-    
-    // PRIORITY 1: Try the sediment storage URLs - these are the most reliable
-    // This is where the actual files are stored in Azure Blob Storage
-    const regions = window.ExportConfig && window.ExportConfig.sedimentRegions ? 
-                    window.ExportConfig.sedimentRegions : 
-                    ['westus2', 'centralus', 'westus3', 'eastus2', 'eastus', 'northcentralus', 
-                    'southcentralus', 'northeurope', 'westeurope', 'australiaeast', 'southeastasia', 'eastasia'];
-    
-    for (const region of regions) {
-      urls.push(`https://sdmntpr${region}.oaiusercontent.com/files/${fileUuid}/raw`);
-    }
-    
-    // PRIORITY 2: Try a smaller subset of API endpoints most likely to work
-    // Sediment-specific endpoints
-    urls.push(
-      `${baseUrl}/backend-api/sediment/content/${withFilePrefix}`,
-      `${baseUrl}/backend-api/sediment/content/${withoutFilePrefix}`,
-      `${baseUrl}/backend-api/sediment/files/${withFilePrefix}`,
-      `${baseUrl}/backend-api/sediment/files/${withoutFilePrefix}`
-    );
+/**
+ * Files API endpoints that answer with a signed download URL for a file.
+ * Generated images (sediment) and uploads (file-service) share them.
+ * @param {string} fileId - File ID
+ * @param {string} origin - ChatGPT origin, e.g. https://chatgpt.com
+ * @param {string|null} conversationId - Conversation the file belongs to, if known
+ * @returns {Array<string>} Endpoints, most current first
+ */
+window.MediaUrlGenerator.downloadEndpoints = function(fileId, origin, conversationId) {
+  const query = conversationId ? `?conversation_id=${encodeURIComponent(conversationId)}` : '';
+  return [
+    `${origin}/backend-api/files/download/${fileId}${query}`,
+    `${origin}/backend-api/files/${fileId}/download`
+  ];
+};
 
-    // PRIORITY 3: Add a few CDN paths for completeness
-    urls.push(
-      `https://files.oaiusercontent.com/file/${fileUuid}`,
-      `https://files.oaiusercontent.com/file/${withFilePrefix}`
-    );
+/**
+ * Read the expiry time of a signed URL
+ * @param {string} url - Signed URL (Azure SAS, CloudFront or S3 style)
+ * @returns {number|null} Expiry as a timestamp in ms, or null if the URL does not say
+ */
+window.MediaUrlGenerator.signedUrlExpiry = function(url) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (e) {
+    return null;
+  }
 
-    return urls;
+  // Azure SAS: se=2024-05-01T12:00:00Z
+  if (params.has('se')) {
+    const time = Date.parse(params.get('se'));
+    if (Number.isFinite(time)) return time;
   }
-  // For old DALL-E images (sediment protocol) but not the file_ format
-  else if (isDalleImageOld) {
-    // If full sediment protocol, extract just the ID
-    if (fileId.includes('sediment://')) {
-      cleanId = fileId.split('sediment://')[1];
-    }
-    
-    // Try with a more concise set of URLs
-    return [
-      // First try the direct sediment endpoints
-      `${baseUrl}/backend-api/sediment/content/${cleanId}`,
-      `${baseUrl}/backend-api/sediment/files/${cleanId}`,
-      
-      // Then try CDN access
-      `https://files.oaiusercontent.com/file/${cleanId}`,
-      `https://cdn.oaistatic.com/images/${cleanId}.png`,
-      
-      // Then a couple of API endpoints
-      `${baseUrl}/backend-api/images/generations/${cleanId}`,
-      `${baseUrl}/backend-api/images/${cleanId}/content`
-    ];
-  } 
-  // For user uploaded files (file-service protocol)
-  else if (isUserUpload) {
-    // If full protocol, extract just the ID
-    if (fileId.includes('file-service://')) {
-      cleanId = fileId.split('file-service://')[1];
-    }
-    
-    return [
-      // Direct binary access
-      `${baseUrl}/backend-api/files/content/${cleanId}?format=binary`,
-      `${baseUrl}/backend-api/files/download/content/${cleanId}`,
-      
-      // CDN access
-      `https://files.oaiusercontent.com/file/${cleanId}`,
-      `https://files.oaiusercontent.com/file-${cleanId}`
-    ];
+
+  // CloudFront: Expires=<unix seconds>
+  if (params.has('Expires')) {
+    const seconds = Number(params.get('Expires'));
+    if (Number.isFinite(seconds)) return seconds * 1000;
   }
-  // For other file types (fallback)
-  else {
-    if (fileId.includes('://')) {
-      cleanId = fileId.split('://')[1];
-    }
-    
-    return [
-      `${baseUrl}/backend-api/files/content/${cleanId}?format=binary`,
-      `https://files.oaiusercontent.com/file/${cleanId}`
-    ];
+
+  // S3: X-Amz-Date=20240501T120000Z plus X-Amz-Expires=<seconds>
+  if (params.has('X-Amz-Date') && params.has('X-Amz-Expires')) {
+    const date = params.get('X-Amz-Date').replace(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z');
+    const time = Date.parse(date) + Number(params.get('X-Amz-Expires')) * 1000;
+    if (Number.isFinite(time)) return time;
   }
+
+  return null;
 };
 
 /**
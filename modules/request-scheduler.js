@@ -0,0 +1,270 @@
+// Universal Chat Log Export - Request Scheduler Module
+
+/**
+ * Request Scheduler Module
+ * Shared gate for provider API and media requests. Caps concurrent requests
+ * per host, pauses a host when it answers 429 (honouring Retry-After) and
+ * retries 429, 5xx and network errors with exponential backoff. Waits are
+ * reported to listeners so status displays can show them.
+ *
+ * Limits and pauses are per context: each tab's content script and the
+ * offscreen archive builder load their own scheduler. An export reads a
+ * conversation in the page and then waits while the builder downloads its
+ * media, so one export keeps to one limit; exports in several tabs at once
+ * add up, and a 429 seen by one context does not pause the others.
+ */
+window.RequestScheduler = (() => {
+  // Concurrent requests per host; provider APIs are stricter than their CDNs
+  const HOST_LIMITS = {
+    "chatgpt.com": 2,
+    "chat.openai.com": 2,
+    "claude.ai": 2,
+    "gemini.google.com": 2,
+  };
+  const DEFAULT_LIMIT = 4;
+
+  // Retries after the first attempt
+  const MAX_RETRIES = 5;
+  // Backoff: BASE_DELAY * 2^attempt, with up to 50% jitter, capped
+  const BASE_DELAY = 1000;
+  const MAX_DELAY = 60000;
+  // Longest Retry-After honoured; longer values are clamped
+  const MAX_RETRY_AFTER = 5 * 60 * 1000;
+
+  const hosts = new Map();
+  const listeners = new Set();
+
+  /**
+   * Get the queue state of a host
+   * @param {string} host - Host name
+   * @returns {{active: number, waiting: Array<Function>, pausedUntil: number}} State
+   */
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, waiting: [], pausedUntil: 0 });
+    }
+    return hosts.get(host);
+  }
+
+  /**
+   * Wait for a while
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Tell listeners about a wait
+   * @param {string} message - Status message
+   */
+  function notify(message) {
+    listeners.forEach((listener) => {
+      try {
+        listener(message);
+      } catch (e) {
+        console.warn("Request scheduler listener failed:", e);
+      }
+    });
+  }
+
+  /**
+   * Take a request slot for a host, queueing when all are in use
+   * @param {string} host - Host name
+   * @returns {Promise<void>}
+   */
+  async function acquire(host) {
+    const state = hostState(host);
+    const limit = HOST_LIMITS[host] || DEFAULT_LIMIT;
+    if (state.active < limit) {
+      state.active++;
+      return;
+    }
+    // release() hands its slot straight to the next waiter
+    await new Promise((resolve) => state.waiting.push(resolve));
+  }
+
+  /**
+   * Free a request slot
+   * @param {string} host - Host name
+   */
+  function release(host) {
+    const state = hostState(host);
+    const next = state.waiting.shift();
+    if (next) next();
+    else state.active--;
+  }
+
+  /**
+   * Wait while a host is paused after a 429
+   * @param {string} host - Host name
+   * @returns {Promise<void>}
+   */
+  async function waitForHost(host) {
+    const state = hostState(host);
+    while (Date.now() < state.pausedUntil) {
+      const seconds = Math.ceil((state.pausedUntil - Date.now()) / 1000);
+      notify(`Waiting for rate limit on ${host} (${seconds}s)...`);
+      await sleep(Math.min(state.pausedUntil - Date.now(), 1000));
+    }
+  }
+
+  /**
+   * Read a Retry-After header
+   * @param {string|null} value - Header value
+   * @returns {number|null} Delay in milliseconds, or null if absent
+   */
+  function retryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    const delay = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(value) - Date.now();
+    if (!Number.isFinite(delay)) return null;
+    return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+  }
+
+  /**
+   * Exponential backoff delay for a retry
+   * @param {number} attempt - Zero-based retry number
+   * @returns {number} Delay in milliseconds
+   */
+  function backoff(attempt) {
+    const delay = Math.min(BASE_DELAY * 2 ** attempt, MAX_DELAY);
+    return delay + Math.random() * delay * 0.5;
+  }
+
+  /**
+   * Host a URL is scheduled under
+   * @param {string} url - Request URL
+   * @returns {string|null} Host, or null for URLs that never leave the page
+   */
+  function hostOf(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return /^https?:$/.test(parsed.protocol) ? parsed.host : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Make a request within the host's limits, retrying 429, 5xx and network
+   * errors
+   * @param {string} host - Host name
+   * @param {Function} request - Async function making one attempt
+   * @param {Function} describe - Maps a result to {status, retryAfter}, where
+   *   retryAfter is the Retry-After header value
+   * @returns {Promise<*>} The last attempt's result
+   */
+  async function schedule(host, request, describe) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForHost(host);
+      await acquire(host);
+
+      let result = null;
+      let error = null;
+      try {
+        result = await request();
+      } catch (e) {
+        error = e;
+      } finally {
+        release(host);
+      }
+
+      const answer = error ? {} : describe(result) || {};
+      const status = answer.status || 0;
+      const retryable = error || status === 429 || status >= 500;
+      if (!retryable || attempt >= MAX_RETRIES) {
+        if (error) throw error;
+        return result;
+      }
+
+      if (status === 429) {
+        // Every request to the host waits, not just this one
+        const delay = retryAfter(answer.retryAfter) ?? backoff(attempt);
+        const state = hostState(host);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+      } else {
+        const delay = backoff(attempt);
+        const reason = error ? "Network error" : `Server error ${status}`;
+        notify(
+          `${reason} from ${host}, retrying in ${Math.ceil(delay / 1000)}s...`,
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * fetch() through the scheduler. Resolves with the last response even when
+   * it is still an error after all retries, so callers keep their own status
+   * handling.
+   * @param {string} url - Request URL
+   * @param {Object} [init] - fetch() options
+   * @returns {Promise<Response>} Response
+   */
+  async function scheduledFetch(url, init = {}) {
+    const host = hostOf(url);
+    if (!host) return window.fetch(url, init);
+
+    return schedule(
+      host,
+      () => window.fetch(url, init),
+      (response) => ({
+        status: response.status,
+        retryAfter: response.headers.get("retry-after"),
+      }),
+    );
+  }
+
+  /**
+   * Run a task that requests a URL some other way (e.g. through the
+   * background script) within the URL host's concurrency limit. With
+   * describe, the task's HTTP status is retried and backed off like fetch();
+   * without it the task runs once.
+   * @param {string} url - URL the task requests
+   * @param {Function} task - Async function to run
+   * @param {Function} [describe] - Maps the task's result to
+   *   {status, retryAfter}; statuses of 0 or absent count as success
+   * @returns {Promise<*>} The task's last result
+   */
+  async function run(url, task, describe) {
+    const host = hostOf(url);
+    if (!host) return task();
+
+    if (describe) return schedule(host, task, describe);
+
+    await waitForHost(host);
+    await acquire(host);
+    try {
+      return await task();
+    } finally {
+      release(host);
+    }
+  }
+
+  /**
+   * Listen for wait messages ("Waiting for rate limit on ...")
+   * @param {Function} listener - Receives each message
+   * @returns {Function} Call to stop listening
+   */
+  function onWait(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Public API
+  return {
+    fetch: scheduledFetch,
+    run,
+    onWait,
+  };
+})();
+
+console.log(
+  "RequestScheduler module loaded and attached to window",
+  window.RequestScheduler,
+);
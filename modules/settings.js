@@ -0,0 +1,67 @@
+// Universal Chat Log Export - Settings Module
+
+/**
+ * Settings Module
+ * Loads and saves user preferences in chrome.storage.local. Shared by the
+ * content scripts and the options page.
+ */
+window.ExportSettings = (() => {
+  const STORAGE_KEY = "exportSettings";
+
+  const DEFAULTS = {
+    // ChatGPT branches: "active" (visible thread only), "all" (every branch
+    // as a numbered thread) or "tree" (every branch with branch-point markers)
+    chatgptBranchMode: "active",
+
+    // Unattended sync exports: "off", "daily" or "weekly"
+    backupSchedule: "off",
+
+    // Subfolder of the downloads folder that scheduled backups are saved to
+    backupFolder: "Conversation Backups",
+
+    // Largest archive to write, in MB (1,000,000 bytes); bigger exports are
+    // split into numbered parts. 0 means no limit.
+    maxPartSizeMb: 0,
+  };
+
+  /**
+   * Load settings, filling in defaults for anything not yet saved
+   * @returns {Promise<Object>} Settings object
+   */
+  async function load() {
+    if (typeof chrome === "undefined" || !chrome.storage) {
+      return { ...DEFAULTS };
+    }
+
+    try {
+      const stored = await chrome.storage.local.get(STORAGE_KEY);
+      return { ...DEFAULTS, ...(stored[STORAGE_KEY] || {}) };
+    } catch (e) {
+      console.warn("Could not read export settings, using defaults:", e);
+      return { ...DEFAULTS };
+    }
+  }
+
+  /**
+   * Save a partial settings update
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} Updated settings object
+   */
+  async function save(changes) {
+    const settings = { ...(await load()), ...changes };
+    await chrome.storage.local.set({ [STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  // Public API
+  return {
+    DEFAULTS,
+    load,
+    save,
+  };
+})();
+
+console.log(
+  "ExportSettings module loaded and attached to window",
+  window.ExportSettings,
+);
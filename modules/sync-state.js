@@ -0,0 +1,124 @@
+// Universal Chat Log Export - Sync State Module
+
+/**
+ * Sync State Module
+ * Remembers, per provider account, which conversations earlier bulk exports
+ * included and their update time, so a sync export can include only new and
+ * updated conversations. Stored in chrome.storage.local, one key per
+ * account, so exports of different accounts (e.g. two tabs running
+ * scheduled backups) never write over each other's state.
+ */
+window.SyncState = (() => {
+  const KEY_PREFIX = "syncState:";
+  // Earlier versions kept every account under this one key
+  const LEGACY_KEY = "syncState";
+
+  // Writes of this context, one at a time
+  let queue = Promise.resolve();
+
+  /**
+   * Run a read-modify-write after the ones already queued
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} What the task returns
+   */
+  function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the state of one provider account
+   * @param {string} scope - Provider account key, e.g. "chatgpt" or "claude:<org id>"
+   * @returns {Promise<{lastSyncAt: string|null, conversations: Object<string, string|null>}>}
+   *   Time of the last export and each exported conversation's update time
+   */
+  async function load(scope) {
+    const key = KEY_PREFIX + scope;
+    const stored = await chrome.storage.local.get([key, LEGACY_KEY]);
+    const legacy = stored[LEGACY_KEY] || {};
+    return (
+      stored[key] || legacy[scope] || { lastSyncAt: null, conversations: {} }
+    );
+  }
+
+  /**
+   * Sort conversation summaries into new, updated and unchanged ones
+   * @param {Object} state - State from load()
+   * @param {Array<Object>} summaries - Conversation summaries ({id, updatedAt})
+   * @returns {{added: Array<Object>, updated: Array<Object>, unchanged: Array<Object>}}
+   *   Summaries by change; updated ones carry previousUpdatedAt
+   */
+  function diff(state, summaries) {
+    const result = { added: [], updated: [], unchanged: [] };
+
+    summaries.forEach((summary) => {
+      if (!(summary.id in state.conversations)) {
+        result.added.push(summary);
+        return;
+      }
+
+      const previous = state.conversations[summary.id];
+      // Without timestamps a change cannot be ruled out
+      const changed =
+        !summary.updatedAt ||
+        !previous ||
+        Date.parse(summary.updatedAt) > Date.parse(previous);
+      if (changed) {
+        result.updated.push({ ...summary, previousUpdatedAt: previous });
+      } else {
+        result.unchanged.push(summary);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Record exported conversations
+   * @param {string} scope - Provider account key
+   * @param {Array<Object>} summaries - Successfully exported summaries ({id, updatedAt})
+   * @param {string} syncedAt - ISO time of the export
+   * @returns {Promise<void>}
+   */
+  function record(scope, summaries, syncedAt) {
+    return serialize(async () => {
+      const state = await load(scope);
+
+      summaries.forEach((summary) => {
+        state.conversations[summary.id] = summary.updatedAt || null;
+      });
+      state.lastSyncAt = syncedAt;
+
+      await chrome.storage.local.set({ [KEY_PREFIX + scope]: state });
+    });
+  }
+
+  /**
+   * Forget every recorded export of one provider account
+   * @param {string} scope - Provider account key
+   * @returns {Promise<void>}
+   */
+  function clear(scope) {
+    return serialize(async () => {
+      await chrome.storage.local.remove(KEY_PREFIX + scope);
+
+      const { [LEGACY_KEY]: legacy } =
+        await chrome.storage.local.get(LEGACY_KEY);
+      if (legacy && scope in legacy) {
+        delete legacy[scope];
+        await chrome.storage.local.set({ [LEGACY_KEY]: legacy });
+      }
+    });
+  }
+
+  // Public API
+  return {
+    load,
+    diff,
+    record,
+    clear,
+  };
+})();
+
+console.log("SyncState module loaded and attached to window", window.SyncState);
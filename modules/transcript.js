@@ -0,0 +1,246 @@
+// Universal Chat Log Export - Transcript Module
+
+/**
+ * Transcript Module
+ * Renders a normalized conversation (see ConversationSchema) as a readable
+ * Markdown transcript.
+ */
+window.TranscriptBuilder = (() => {
+  const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "webp", "bmp", "svg"];
+
+  /**
+   * Attachments of a message that are not already shown inline, including
+   * those whose file is not in the archive (filename null)
+   * @param {Object} msg - Normalized message
+   * @returns {Array<Object>} Attachments
+   */
+  function attachedFiles(msg) {
+    const images = msg.content.filter((part) => part.type === "image");
+    return msg.attachments.filter((att) =>
+      att.filename
+        ? !images.some((part) => part.filename === att.filename)
+        : !images.some(
+            (part) => att.id && (part.assetPointer || "").endsWith(att.id),
+          ),
+    );
+  }
+
+  /**
+   * Lay out a conversation for rendering according to its branch mode:
+   * "active" lists the thread in order, "all" repeats each numbered thread in
+   * full, "tree" walks every branch once with branch-point markers.
+   * @param {Object} conversation - Normalized conversation
+   * @returns {Array<Object>} Blocks: {kind: "message"|"thread"|"branchPoint"|"branch", ...}
+   */
+  function layout(conversation) {
+    const byId = new Map(conversation.messages.map((msg) => [msg.id, msg]));
+    const blocks = [];
+
+    if (conversation.branchMode === "all") {
+      conversation.threads.forEach((thread) => {
+        blocks.push({
+          kind: "thread",
+          number: thread.number,
+          active: thread.active,
+        });
+        thread.messageIds.forEach((id) => {
+          if (byId.has(id)) blocks.push({ kind: "message", msg: byId.get(id) });
+        });
+      });
+      return blocks;
+    }
+
+    if (conversation.branchMode === "tree") {
+      const roots = conversation.messages.filter(
+        (msg) => !msg.parentId || !byId.has(msg.parentId),
+      );
+      const stack = roots.reverse().map((msg) => ({ msg, branch: null }));
+
+      while (stack.length > 0) {
+        const { msg, branch } = stack.pop();
+        if (branch) blocks.push({ kind: "branch", ...branch });
+        blocks.push({ kind: "message", msg });
+
+        const kids = msg.childIds.map((id) => byId.get(id)).filter(Boolean);
+        if (kids.length > 1) {
+          blocks.push({ kind: "branchPoint", count: kids.length });
+        }
+        for (let i = kids.length - 1; i >= 0; i--) {
+          stack.push({
+            msg: kids[i],
+            branch:
+              kids.length > 1
+                ? {
+                    index: i + 1,
+                    count: kids.length,
+                    active: kids[i].onActivePath,
+                  }
+                : null,
+          });
+        }
+      }
+      return blocks;
+    }
+
+    return conversation.messages.map((msg) => ({ kind: "message", msg }));
+  }
+
+  /**
+   * Pick a code fence that is longer than any backtick run inside the code
+   * @param {string} text - Code to fence
+   * @returns {string} Fence string
+   */
+  function fenceFor(text) {
+    const runs = text.match(/`{3,}/g) || [];
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+    return "`".repeat(longest + 1);
+  }
+
+  /**
+   * Build a relative Markdown link to a file in the media/ folder
+   * @param {string} filename - Media filename
+   * @returns {string} Markdown link or image
+   */
+  function mediaLink(filename) {
+    const target = `media/${encodeURIComponent(filename)}`;
+    const ext = filename.split(".").pop().toLowerCase();
+    return IMAGE_EXTENSIONS.includes(ext)
+      ? `![${filename}](${target})`
+      : `[${filename}](${target})`;
+  }
+
+  /**
+   * Render a single content part as Markdown
+   * @param {Object} part - Content part
+   * @returns {string} Markdown
+   */
+  function renderPart(part) {
+    switch (part.type) {
+      case "code": {
+        const fence = fenceFor(part.text);
+        return `${fence}${part.language || ""}\n${part.text.replace(/\n$/, "")}\n${fence}`;
+      }
+      case "thinking":
+        return part.text
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n");
+      case "image":
+        return part.filename
+          ? mediaLink(part.filename)
+          : `_[Image not included: ${part.assetPointer}]_`;
+      case "artifact":
+        return `🧩 **Artifact:** [${part.title} (v${part.version})](artifacts/${encodeURIComponent(part.filename)})`;
+      default:
+        return part.text.trim();
+    }
+  }
+
+  /**
+   * Human readable role label
+   * @param {Object} msg - Normalized message
+   * @param {string} source - Provider display name
+   * @returns {string} Heading label
+   */
+  function roleLabel(msg, source) {
+    if (msg.role === "user") return "User";
+    if (msg.role === "tool")
+      return msg.author ? `Tool (${msg.author})` : "Tool";
+    return source || "Assistant";
+  }
+
+  /**
+   * Render a normalized conversation as a Markdown transcript
+   * @param {Object} conversation - Normalized conversation
+   * @param {string} source - Provider display name (e.g. "ChatGPT")
+   * @returns {string} Markdown document
+   */
+  function toMarkdown(conversation, source) {
+    const messages = conversation.messages;
+    const lines = [`# ${conversation.title}`, ""];
+
+    lines.push(`- **Source:** ${source || conversation.provider}`);
+    if (conversation.createdAt)
+      lines.push(`- **Created:** ${conversation.createdAt}`);
+    if (conversation.updatedAt)
+      lines.push(`- **Updated:** ${conversation.updatedAt}`);
+    lines.push(`- **Exported:** ${conversation.exportedAt}`);
+    lines.push(`- **Messages:** ${messages.length}`);
+    if (conversation.branchMode !== "active")
+      lines.push(`- **Threads:** ${conversation.threads.length}`);
+    lines.push("");
+
+    const linked = new Set();
+
+    layout(conversation).forEach((block) => {
+      if (block.kind === "thread") {
+        const active = block.active ? " (active)" : "";
+        lines.push(`# Thread ${block.number}${active}`, "");
+        return;
+      }
+      if (block.kind === "branchPoint") {
+        lines.push(
+          `> ⑂ **Branch point:** ${block.count} alternative replies follow.`,
+          "",
+        );
+        return;
+      }
+      if (block.kind === "branch") {
+        const active = block.active ? " (active)" : "";
+        lines.push(
+          `> ⑂ **Branch ${block.index} of ${block.count}${active}**`,
+          "",
+        );
+        return;
+      }
+
+      const msg = block.msg;
+      lines.push("---", "");
+      lines.push(`## ${roleLabel(msg, source)}`, "");
+
+      const meta = [];
+      if (msg.createdAt) meta.push(msg.createdAt);
+      if (msg.model) meta.push(`model: \`${msg.model}\``);
+      if (meta.length > 0) lines.push(`_${meta.join(" · ")}_`, "");
+
+      msg.content.forEach((part) => {
+        if (part.type === "image" && part.filename) linked.add(part.filename);
+        lines.push(renderPart(part), "");
+      });
+
+      attachedFiles(msg).forEach((att) => {
+        if (att.filename) {
+          linked.add(att.filename);
+          lines.push(mediaLink(att.filename), "");
+        } else {
+          lines.push(`_[Attachment unavailable: ${att.name}]_`, "");
+        }
+      });
+    });
+
+    // Media that could not be tied to a message (e.g. images found in the JSON)
+    const unlinked = conversation.media.filter(
+      (item) => !linked.has(item.filename),
+    );
+
+    if (unlinked.length > 0) {
+      lines.push("---", "", "## Other Media", "");
+      unlinked.forEach((item) => lines.push(`- ${mediaLink(item.filename)}`));
+      lines.push("");
+    }
+
+    return lines.join("\n");
+  }
+
+  // Public API
+  return {
+    attachedFiles,
+    layout,
+    toMarkdown,
+  };
+})();
+
+console.log(
+  "TranscriptBuilder module loaded and attached to window",
+  window.TranscriptBuilder,
+);
@@ -0,0 +1,564 @@
+// Universal Chat Log Export - Zip Stream Module
+
+/**
+ * Zip Stream Module
+ * Writes Zip archives entry by entry instead of building them in memory the
+ * way JSZip's generateAsync does. Each file is written out as soon as it is
+ * added, so memory is bounded by the largest single file rather than the
+ * whole archive. Files are stored uncompressed (like JSZip's default), with
+ * ZIP64 records once an archive passes 4 GB or 65,535 entries. The SHA-256
+ * of every file is taken on the way through, so manifest.json can be written
+ * without reading the archive back. Archives are read back the same way, one
+ * entry at a time through the central directory (see readDirectory()).
+ */
+window.ZipStream = (() => {
+  // Fields that no longer fit in 16/32 bits hold these and move to ZIP64
+  // records
+  const MAX_16 = 0xffff;
+  const MAX_32 = 0xffffffff;
+
+  // Zip format versions: 2.0 for plain entries, 4.5 for ZIP64
+  const VERSION = 20;
+  const VERSION_ZIP64 = 45;
+  // General purpose flag: names are UTF-8
+  const FLAG_UTF8 = 0x0800;
+  // MS-DOS directory attribute
+  const ATTR_DIRECTORY = 0x10;
+
+  // Compression methods an archive can be read back with
+  const METHOD_STORED = 0;
+  const METHOD_DEFLATED = 8;
+  // Largest end of central directory record: fixed part plus a maximal comment
+  const MAX_END_RECORD = 22 + MAX_16;
+
+  // Collected output is folded into one Blob every this many bytes, so the
+  // browser can move it out of memory
+  const BLOB_FLUSH_SIZE = 16 * 1024 * 1024;
+
+  let crcTable = null;
+
+  /**
+   * CRC-32 of some bytes
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Unsigned CRC-32
+   */
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * SHA-256 of some bytes
+   * @param {Uint8Array} bytes - Data
+   * @returns {Promise<string>} Lowercase hex digest
+   */
+  async function sha256(bytes) {
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  /**
+   * MS-DOS time and date fields of a Date (local time, 2-second precision)
+   * @param {Date} date - Date
+   * @returns {{time: number, date: number}} Packed fields
+   */
+  function dosDateTime(date) {
+    return {
+      time:
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        Math.floor(date.getSeconds() / 2),
+      date:
+        (Math.max(date.getFullYear() - 1980, 0) << 9) |
+        ((date.getMonth() + 1) << 5) |
+        date.getDate(),
+    };
+  }
+
+  /**
+   * Read file content as bytes
+   * @param {string|Blob|Uint8Array|ArrayBuffer} content - File content
+   * @returns {Promise<Uint8Array>} Bytes
+   */
+  async function toBytes(content) {
+    if (typeof content === "string") return new TextEncoder().encode(content);
+    if (ArrayBuffer.isView(content)) {
+      return new Uint8Array(
+        content.buffer,
+        content.byteOffset,
+        content.byteLength,
+      );
+    }
+    if (content instanceof ArrayBuffer) return new Uint8Array(content);
+    return new Uint8Array(await content.arrayBuffer());
+  }
+
+  /**
+   * Value of a 32-bit field; values too large are written as 0xFFFFFFFF and
+   * given in a ZIP64 record instead
+   * @param {number} value - Size or offset
+   * @returns {number} Field value
+   */
+  function field32(value) {
+    return value >= MAX_32 ? MAX_32 : value;
+  }
+
+  /**
+   * Value of a 16-bit entry count field, as field32()
+   * @param {number} value - Entry count
+   * @returns {number} Field value
+   */
+  function field16(value) {
+    return value >= MAX_16 ? MAX_16 : value;
+  }
+
+  /**
+   * ZIP64 extended information extra field
+   * @param {Array<number>} values - 64-bit values, in the order the format
+   *   requires (uncompressed size, compressed size, header offset)
+   * @returns {Uint8Array} Extra field
+   */
+  function zip64Extra(values) {
+    const extra = new Uint8Array(4 + values.length * 8);
+    const view = new DataView(extra.buffer);
+    view.setUint16(0, 0x0001, true);
+    view.setUint16(2, values.length * 8, true);
+    values.forEach((value, i) => {
+      view.setBigUint64(4 + i * 8, BigInt(value), true);
+    });
+    return extra;
+  }
+
+  /**
+   * Local file header of an entry
+   * @param {Object} entry - Entry record
+   * @returns {Uint8Array} Header
+   */
+  function localHeader(entry) {
+    const zip64 = entry.size >= MAX_32;
+    const extra = zip64
+      ? zip64Extra([entry.size, entry.size])
+      : new Uint8Array();
+    const header = new Uint8Array(30 + entry.name.length + extra.length);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, zip64 ? VERSION_ZIP64 : VERSION, true);
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, 0, true); // stored
+    view.setUint16(10, entry.time, true);
+    view.setUint16(12, entry.date, true);
+    view.setUint32(14, entry.crc, true);
+    view.setUint32(18, field32(entry.size), true);
+    view.setUint32(22, field32(entry.size), true);
+    view.setUint16(26, entry.name.length, true);
+    view.setUint16(28, extra.length, true);
+    header.set(entry.name, 30);
+    header.set(extra, 30 + entry.name.length);
+    return header;
+  }
+
+  /**
+   * Central directory header of an entry
+   * @param {Object} entry - Entry record
+   * @returns {Uint8Array} Header
+   */
+  function centralHeader(entry) {
+    const large = [];
+    if (entry.size >= MAX_32) large.push(entry.size, entry.size);
+    if (entry.offset >= MAX_32) large.push(entry.offset);
+    const extra = large.length > 0 ? zip64Extra(large) : new Uint8Array();
+    const version = large.length > 0 ? VERSION_ZIP64 : VERSION;
+    const header = new Uint8Array(46 + entry.name.length + extra.length);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, version, true);
+    view.setUint16(6, version, true);
+    view.setUint16(8, FLAG_UTF8, true);
+    view.setUint16(10, 0, true); // stored
+    view.setUint16(12, entry.time, true);
+    view.setUint16(14, entry.date, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, field32(entry.size), true);
+    view.setUint32(24, field32(entry.size), true);
+    view.setUint16(28, entry.name.length, true);
+    view.setUint16(30, extra.length, true);
+    view.setUint16(32, 0, true); // comment length
+    view.setUint16(34, 0, true); // disk number
+    view.setUint16(36, 0, true); // internal attributes
+    view.setUint32(38, entry.directory ? ATTR_DIRECTORY : 0, true);
+    view.setUint32(42, field32(entry.offset), true);
+    header.set(entry.name, 46);
+    header.set(extra, 46 + entry.name.length);
+    return header;
+  }
+
+  /**
+   * End of central directory records, with the ZIP64 record and locator in
+   * front when the counts or offsets need them
+   * @param {number} count - Number of entries
+   * @param {number} offset - Offset of the central directory
+   * @param {number} size - Size of the central directory
+   * @returns {Uint8Array} Records
+   */
+  function endRecords(count, offset, size) {
+    const zip64 = count >= MAX_16 || offset >= MAX_32 || size >= MAX_32;
+    const records = new Uint8Array((zip64 ? 56 + 20 : 0) + 22);
+    const view = new DataView(records.buffer);
+    let pos = 0;
+
+    if (zip64) {
+      view.setUint32(0, 0x06064b50, true);
+      view.setBigUint64(4, 44n, true); // size of the rest of the record
+      view.setUint16(12, VERSION_ZIP64, true);
+      view.setUint16(14, VERSION_ZIP64, true);
+      view.setUint32(16, 0, true); // this disk
+      view.setUint32(20, 0, true); // central directory disk
+      view.setBigUint64(24, BigInt(count), true);
+      view.setBigUint64(32, BigInt(count), true);
+      view.setBigUint64(40, BigInt(size), true);
+      view.setBigUint64(48, BigInt(offset), true);
+
+      // Locator: where the ZIP64 record starts
+      view.setUint32(56, 0x07064b50, true);
+      view.setUint32(60, 0, true);
+      view.setBigUint64(64, BigInt(offset + size), true);
+      view.setUint32(72, 1, true); // total disks
+      pos = 76;
+    }
+
+    view.setUint32(pos, 0x06054b50, true);
+    view.setUint16(pos + 4, 0, true);
+    view.setUint16(pos + 6, 0, true);
+    view.setUint16(pos + 8, field16(count), true);
+    view.setUint16(pos + 10, field16(count), true);
+    view.setUint32(pos + 12, field32(size), true);
+    view.setUint32(pos + 16, field32(offset), true);
+    view.setUint16(pos + 20, 0, true); // comment length
+    return records;
+  }
+
+  /**
+   * Bytes a file takes up in an archive: its data, local header and central
+   * directory header (with ZIP64 fields if it needs them)
+   * @param {string} path - Archive path
+   * @param {number} size - File size
+   * @returns {number} Bytes
+   */
+  function storedSize(path, size) {
+    const name = new TextEncoder().encode(path).length;
+    const zip64 = size >= MAX_32 ? 20 : 0;
+    return 30 + 46 + 2 * (name + zip64) + size;
+  }
+
+  /**
+   * Output that collects the archive into a Blob, e.g. to hand to
+   * chrome.downloads through a blob URL
+   * @param {string} [type] - MIME type of the Blob
+   * @returns {{write: Function, close: Function}} Sink; close() resolves to
+   *   the Blob
+   */
+  function toBlob(type = "application/zip") {
+    let blob = new Blob([], { type });
+    let parts = [];
+    let pending = 0;
+
+    return {
+      write: async (bytes) => {
+        parts.push(bytes);
+        pending += bytes.length;
+        if (pending >= BLOB_FLUSH_SIZE) {
+          blob = new Blob([blob, ...parts], { type });
+          parts = [];
+          pending = 0;
+        }
+      },
+      close: async () => new Blob([blob, ...parts], { type }),
+    };
+  }
+
+  /**
+   * Start an archive. Files are added with JSZip's folder()/file() calls, so
+   * ArchiveBuilder can write into it directly; they are written in the order
+   * they are added. A path added twice keeps its first content.
+   * @param {{write: Function, close: Function}} sink - Output: toBlob(), or
+   *   anything with async write(bytes) and close(), such as the writable of
+   *   a File System Access handle
+   * @returns {{file: Function, folder: Function, entries: Function, finish: Function}}
+   *   Archive
+   */
+  function createWriter(sink) {
+    const encoder = new TextEncoder();
+    const modified = dosDateTime(new Date());
+    const written = [];
+    const paths = new Set();
+    let offset = 0;
+    let queue = Promise.resolve();
+    let failure = null;
+
+    async function output(bytes) {
+      await sink.write(bytes);
+      offset += bytes.length;
+    }
+
+    async function writeEntry(path, content, directory) {
+      const bytes = directory ? new Uint8Array() : await toBytes(content);
+      const entry = {
+        path,
+        name: encoder.encode(path),
+        directory,
+        crc: crc32(bytes),
+        size: bytes.length,
+        sha256: directory ? null : await sha256(bytes),
+        offset,
+        ...modified,
+      };
+      await output(localHeader(entry));
+      await output(bytes);
+      written.push(entry);
+    }
+
+    // Writes run one at a time, in the order they were added; the first
+    // error is raised by entries() and finish()
+    function enqueue(path, content, directory = false) {
+      if (paths.has(path)) {
+        console.warn(`Skipping duplicate archive entry ${path}`);
+        return;
+      }
+      paths.add(path);
+      queue = queue
+        .then(() => (failure ? null : writeEntry(path, content, directory)))
+        .catch((e) => {
+          failure = failure || e;
+        });
+    }
+
+    async function settled() {
+      await queue;
+      if (failure) throw failure;
+    }
+
+    function folderAt(prefix) {
+      return {
+        file(path, content) {
+          enqueue(prefix + path, content);
+          return this;
+        },
+        folder(name) {
+          const path = `${prefix}${name.replace(/\/+$/, "")}/`;
+          enqueue(path, null, true);
+          return folderAt(path);
+        },
+        /**
+         * Files written so far under this folder, once pending writes finish
+         * @returns {Promise<Array<{path: string, size: number, sha256: string}>>}
+         *   Paths relative to this folder
+         */
+        async entries() {
+          await settled();
+          return written
+            .filter((entry) => !entry.directory)
+            .filter((entry) => entry.path.startsWith(prefix))
+            .map((entry) => ({
+              path: entry.path.slice(prefix.length),
+              size: entry.size,
+              sha256: entry.sha256,
+            }));
+        },
+        /**
+         * Wait until every file added so far is written, so callers feeding
+         * many files can keep only one in memory at a time
+         * @returns {Promise<void>}
+         */
+        flush: settled,
+      };
+    }
+
+    /**
+     * Write the central directory and close the output
+     * @returns {Promise<*>} What the sink's close() returns
+     */
+    async function finish() {
+      await settled();
+      const start = offset;
+      for (const entry of written) await output(centralHeader(entry));
+      await output(endRecords(written.length, start, offset - start));
+      return sink.close();
+    }
+
+    return { ...folderAt(""), finish };
+  }
+
+  /**
+   * Bytes of a Blob slice
+   * @param {Blob} blob - Archive
+   * @param {number} start - First byte
+   * @param {number} end - End (exclusive)
+   * @returns {Promise<DataView>} Bytes
+   */
+  async function readRange(blob, start, end) {
+    return new DataView(await blob.slice(start, end).arrayBuffer());
+  }
+
+  /**
+   * Offset, size and entry count of the central directory, from the end of
+   * central directory record (and the ZIP64 record it points to, if used)
+   * @param {Blob} blob - Archive
+   * @returns {Promise<{offset: number, size: number, count: number}>}
+   *   Central directory
+   */
+  async function findCentralDirectory(blob) {
+    const tailStart = Math.max(blob.size - MAX_END_RECORD, 0);
+    const tail = await readRange(blob, tailStart, blob.size);
+    let pos = tail.byteLength - 22;
+    while (pos >= 0 && tail.getUint32(pos, true) !== 0x06054b50) pos--;
+    if (pos < 0) throw new Error("This file is not a Zip archive");
+
+    const directory = {
+      count: tail.getUint16(pos + 10, true),
+      size: tail.getUint32(pos + 12, true),
+      offset: tail.getUint32(pos + 16, true),
+    };
+    const zip64 =
+      directory.count === MAX_16 ||
+      directory.size === MAX_32 ||
+      directory.offset === MAX_32;
+    if (!zip64) return directory;
+
+    // The ZIP64 locator sits right before the end record
+    const locatorStart = tailStart + pos - 20;
+    const locator = await readRange(blob, locatorStart, locatorStart + 20);
+    if (locator.getUint32(0, true) !== 0x07064b50) {
+      throw new Error("The archive's ZIP64 records are missing");
+    }
+    const recordStart = Number(locator.getBigUint64(8, true));
+    const record = await readRange(blob, recordStart, recordStart + 56);
+    if (record.getUint32(0, true) !== 0x06064b50) {
+      throw new Error("The archive's ZIP64 records are missing");
+    }
+    return {
+      count: Number(record.getBigUint64(32, true)),
+      size: Number(record.getBigUint64(40, true)),
+      offset: Number(record.getBigUint64(48, true)),
+    };
+  }
+
+  /**
+   * List the entries of an archive from its central directory, without
+   * reading their contents
+   * @param {Blob} blob - Archive, e.g. a File from an input element
+   * @returns {Promise<Array<{path: string, directory: boolean, method: number, size: number, compressedSize: number, offset: number}>>}
+   *   Entries, in archive order; pass one to readEntry() for its contents
+   */
+  async function readDirectory(blob) {
+    const directory = await findCentralDirectory(blob);
+    const view = await readRange(
+      blob,
+      directory.offset,
+      directory.offset + directory.size,
+    );
+    const decoder = new TextDecoder();
+    const entries = [];
+    let pos = 0;
+
+    for (let i = 0; i < directory.count; i++) {
+      if (view.getUint32(pos, true) !== 0x02014b50) {
+        throw new Error("The archive's central directory is damaged");
+      }
+      const nameLength = view.getUint16(pos + 28, true);
+      const extraLength = view.getUint16(pos + 30, true);
+      const commentLength = view.getUint16(pos + 32, true);
+      const path = decoder.decode(
+        new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength),
+      );
+      const entry = {
+        path,
+        directory: path.endsWith("/"),
+        method: view.getUint16(pos + 10, true),
+        compressedSize: view.getUint32(pos + 20, true),
+        size: view.getUint32(pos + 24, true),
+        offset: view.getUint32(pos + 42, true),
+      };
+
+      // Fields holding 0xFFFFFFFF are given in the ZIP64 extra field, in
+      // this order
+      let extra = pos + 46 + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = view.getUint16(extra, true);
+        const length = view.getUint16(extra + 2, true);
+        if (id === 0x0001) {
+          let field = extra + 4;
+          ["size", "compressedSize", "offset"].forEach((key) => {
+            if (entry[key] !== MAX_32) return;
+            entry[key] = Number(view.getBigUint64(field, true));
+            field += 8;
+          });
+        }
+        extra += 4 + length;
+      }
+
+      entries.push(entry);
+      pos = extraEnd + commentLength;
+    }
+    return entries;
+  }
+
+  /**
+   * Contents of one archive entry. Only this entry is read into memory.
+   * @param {Blob} blob - Archive
+   * @param {Object} entry - Entry from readDirectory()
+   * @returns {Promise<Uint8Array>} Uncompressed contents
+   */
+  async function readEntry(blob, entry) {
+    const header = await readRange(blob, entry.offset, entry.offset + 30);
+    if (header.getUint32(0, true) !== 0x04034b50) {
+      throw new Error(`The local header of ${entry.path} is damaged`);
+    }
+    const start =
+      entry.offset +
+      30 +
+      header.getUint16(26, true) +
+      header.getUint16(28, true);
+    const data = blob.slice(start, start + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+      return new Uint8Array(await data.arrayBuffer());
+    }
+    if (entry.method === METHOD_DEFLATED) {
+      const stream = data
+        .stream()
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    throw new Error(`Unsupported compression method ${entry.method}`);
+  }
+
+  // Public API
+  return {
+    createWriter,
+    toBlob,
+    storedSize,
+    readDirectory,
+    readEntry,
+  };
+})();
+
+console.log("ZipStream module loaded and attached to window", window.ZipStream);
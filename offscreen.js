@@ -0,0 +1,285 @@
+// Universal Chat Log Export - Offscreen Archive Builder
+//
+// Builds export archives for background.js, away from the chat tab: fetches
+// media, writes conversation folders, keeps bulk export checkpoints and
+// writes the Zip files. Archives are streamed out entry by entry (ZipStream)
+// rather than generated in memory; bulk exports may be split into several
+// part archives. Builds run on after their request is answered, and report
+// back with an archiveDone message; finished archives are handed back as
+// blob URLs for the background script to save, then released.
+
+// Blob URLs of generated archives waiting to be saved, by archive id
+const builtArchives = new Map();
+// Media sessions of bulk export jobs, so signed URLs are reused across
+// conversations
+const jobSessions = new Map();
+// Tabs waiting on each request channel, for progress messages
+const activeChannels = new Map();
+// Pieces of requests too large for one message, by upload id (see
+// ArchiveClient's upload())
+const uploads = new Map();
+// Builds started and not yet reported back
+let runningBuilds = 0;
+// When the builds of recent channels were reported back, so waiting tabs can
+// tell a finished build from a lost one
+const reportedChannels = new Map();
+// How long a reported channel is remembered
+const REPORTED_KEEP = 10 * 60 * 1000;
+let nextArchiveId = 1;
+
+// Allowance per file for its line in manifest.json, when sizing a
+// conversation for multi-part archives
+const MANIFEST_LINE_SIZE = 160;
+
+function reportProgress(tabId, channel, message) {
+  chrome.runtime.sendMessage({
+    action: "archiveProgress",
+    tabId,
+    channel,
+    message,
+  });
+}
+
+// Rate limit waits apply to every request in flight
+window.RequestScheduler.onWait((message) => {
+  activeChannels.forEach((tabId, channel) =>
+    reportProgress(tabId, channel, message),
+  );
+});
+
+function publish(blob, filename) {
+  const archiveId = `archive-${nextArchiveId++}`;
+  const url = URL.createObjectURL(blob);
+  builtArchives.set(archiveId, url);
+  return { archiveId, url, filename, size: blob.size };
+}
+
+function jobSession(jobId, authToken, origin) {
+  const session = jobSessions.get(jobId);
+  // A new token (e.g. on the retry pass) starts a new session
+  if (session && session.authToken === authToken) return session;
+  const created = window.MediaResolver.createSession({ authToken, origin });
+  jobSessions.set(jobId, created);
+  return created;
+}
+
+async function exportConversation(request, statusCallback) {
+  const { data } = request;
+  const folder = window.ArchiveBuilder.safeFolderName(data.title);
+  const zip = window.ZipStream.createWriter(window.ZipStream.toBlob());
+  const root = zip.folder(folder);
+
+  const result = await window.ArchiveBuilder.addConversation(root, data, {
+    statusCallback,
+    authToken: request.authToken,
+    origin: request.origin,
+    settings: request.settings,
+  });
+
+  statusCallback("Adding checksums...");
+  await window.ArchiveManifest.addTo(root, {
+    provider: request.provider,
+    sourceUrl: request.sourceUrl,
+    conversationId: data.id,
+    exportedAt: new Date().toISOString(),
+    extractionStrategy: data.extractionStrategy,
+  });
+
+  statusCallback("Finishing Zip file...");
+  const blob = await zip.finish();
+  statusCallback("Saving...");
+
+  return {
+    archives: [publish(blob, `${folder}.zip`)],
+    mediaTotal: result.mediaTotal,
+    mediaSaved: result.mediaSaved,
+    mediaFailed: result.mediaFailed,
+    warnings: result.report.warnings,
+  };
+}
+
+async function stageConversation(request, statusCallback) {
+  const staging = new JSZip();
+  const result = await window.ArchiveBuilder.addConversation(
+    staging.folder(request.folder),
+    request.data,
+    {
+      statusCallback,
+      mediaSession: jobSession(
+        request.jobId,
+        request.authToken,
+        request.origin,
+      ),
+      settings: request.settings,
+      mediaCache: window.CheckpointStore.mediaCache(
+        request.jobId,
+        request.conversationId,
+      ),
+    },
+  );
+  const files = await window.CheckpointStore.saveFiles(
+    request.jobId,
+    request.conversationId,
+    staging,
+  );
+
+  return {
+    // Room the folder takes in an archive, for splitting into parts
+    size: files.reduce(
+      (total, file) =>
+        total +
+        window.ZipStream.storedSize(file.path, file.size) +
+        file.path.length +
+        MANIFEST_LINE_SIZE,
+      0,
+    ),
+    mediaTotal: result.mediaTotal,
+    mediaSaved: result.mediaSaved,
+    mediaFailed: result.mediaFailed,
+  };
+}
+
+// Each part holds the stored folders of its conversations, plus its own
+// index files; request.parts lists them in order
+async function exportCheckpoint(request, statusCallback) {
+  const paths = await window.CheckpointStore.listFiles(request.jobId);
+  const archives = [];
+
+  for (const [i, part] of request.parts.entries()) {
+    const prefix =
+      request.parts.length > 1
+        ? `Part ${i + 1} of ${request.parts.length}: `
+        : "";
+    statusCallback(`${prefix}Assembling archive...`);
+    const zip = window.ZipStream.createWriter(window.ZipStream.toBlob());
+    const root = zip.folder(part.folder);
+
+    const folders = new Set(part.conversations);
+    for (const path of paths) {
+      if (!folders.has(path.split("/")[0])) continue;
+      const data = await window.CheckpointStore.readFile(request.jobId, path);
+      if (data) root.file(path, data);
+      await root.flush();
+    }
+    part.files.forEach((file) => root.file(file.path, file.content));
+
+    statusCallback(`${prefix}Adding checksums...`);
+    await window.ArchiveManifest.addTo(root, request.manifest);
+
+    statusCallback(`${prefix}Finishing Zip file...`);
+    archives.push(publish(await zip.finish(), `${part.folder}.zip`));
+  }
+
+  jobSessions.delete(request.jobId);
+  statusCallback("Saving...");
+  return { archives };
+}
+
+async function discardCheckpoint(request) {
+  jobSessions.delete(request.jobId);
+  await window.CheckpointStore.discard(request.jobId);
+  return {};
+}
+
+function release(request) {
+  const url = builtArchives.get(request.archiveId);
+  if (url) URL.revokeObjectURL(url);
+  builtArchives.delete(request.archiveId);
+  return {};
+}
+
+function receive(request) {
+  const chunks = uploads.get(request.uploadId) || [];
+  chunks[request.index] = request.chunk;
+  uploads.set(request.uploadId, chunks);
+  return {};
+}
+
+// A request with the parameters uploaded ahead of it put back in
+function withUpload(request) {
+  if (!request.upload) return request;
+  const chunks = uploads.get(request.upload);
+  uploads.delete(request.upload);
+  if (!chunks) throw new Error("The export data did not reach the builder");
+  return { ...request, ...JSON.parse(chunks.join("")) };
+}
+
+// Whether closing the document now would lose work, and the state of one
+// request channel's build (see background.js buildState)
+function status(request) {
+  const now = Date.now();
+  reportedChannels.forEach((reportedAt, channel) => {
+    if (now - reportedAt > REPORTED_KEEP) reportedChannels.delete(channel);
+  });
+
+  let build = "unknown";
+  if (activeChannels.has(request.channel)) build = "running";
+  else if (reportedChannels.has(request.channel)) build = "reported";
+  return {
+    busy: runningBuilds > 0 || builtArchives.size > 0 || uploads.size > 0,
+    build,
+  };
+}
+
+// Builds, run in the background and reported with archiveDone
+const OPERATIONS = {
+  exportConversation,
+  stageConversation,
+  exportCheckpoint,
+  discardCheckpoint,
+};
+
+// Answered right away
+const INSTANT_OPERATIONS = {
+  receive,
+  release,
+  status,
+};
+
+function runBuild(request) {
+  const { tabId, channel, destination } = request;
+  if (channel) activeChannels.set(channel, tabId);
+  const statusCallback = (message) => reportProgress(tabId, channel, message);
+  runningBuilds++;
+
+  Promise.resolve()
+    .then(() => OPERATIONS[request.op](request, statusCallback))
+    .then((result) => ({ success: true, ...result }))
+    .catch((err) => {
+      console.error(`Archive operation ${request.op} failed:`, err);
+      return { success: false, error: err.message };
+    })
+    .then((response) => {
+      activeChannels.delete(channel);
+      if (channel) reportedChannels.set(channel, Date.now());
+      runningBuilds--;
+      return chrome.runtime.sendMessage({
+        action: "archiveDone",
+        tabId,
+        channel,
+        destination,
+        response,
+      });
+    })
+    .catch((err) => console.error("Could not report a finished build:", err));
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Content scripts' messages reach this page too; only take the background
+  // script's
+  if (request.target !== "offscreen") return false;
+
+  if (INSTANT_OPERATIONS[request.op]) {
+    sendResponse({ success: true, ...INSTANT_OPERATIONS[request.op](request) });
+  } else if (OPERATIONS[request.op]) {
+    try {
+      runBuild(withUpload(request));
+      sendResponse({ success: true });
+    } catch (err) {
+      sendResponse({ success: false, error: err.message });
+    }
+  } else {
+    sendResponse({ success: false, error: `Unknown operation ${request.op}` });
+  }
+  return false;
+});
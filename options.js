@@ -0,0 +1,83 @@
+// Universal Chat Log Export - Options Page
+
+const form = document.getElementById("options-form");
+const statusEl = document.getElementById("status");
+const logBody = document.getElementById("export-log");
+
+const PROVIDER_LABELS = { chatgpt: "ChatGPT", claude: "Claude" };
+
+function showSaved() {
+  statusEl.textContent = "Saved.";
+  setTimeout(() => {
+    statusEl.textContent = "";
+  }, 1500);
+}
+
+async function restoreOptions() {
+  const settings = await window.ExportSettings.load();
+
+  Array.from(form.elements).forEach((el) => {
+    if (!el.name || !(el.name in settings)) return;
+    if (el.type === "radio") el.checked = el.value === settings[el.name];
+    else if (el.type === "checkbox") el.checked = Boolean(settings[el.name]);
+    else el.value = settings[el.name];
+  });
+}
+
+form.addEventListener("change", async (event) => {
+  const el = event.target;
+  if (!el.name) return;
+
+  let value = el.value;
+  if (el.type === "checkbox") value = el.checked;
+  else if (el.type === "number") value = Number(el.value);
+
+  await window.ExportSettings.save({ [el.name]: value });
+  showSaved();
+});
+
+function describeLogEntry(entry) {
+  if (entry.status === "error" || entry.status === "skipped") {
+    return entry.error || entry.status;
+  }
+  if (entry.status === "up-to-date") return "Everything up to date";
+
+  const counts =
+    entry.mode === "sync"
+      ? `${entry.added} added, ${entry.updated} updated`
+      : `${entry.exported} exported`;
+  const failed = entry.failed ? `, ${entry.failed} failed` : "";
+  const parts = entry.parts > 1 ? ` (${entry.parts} parts)` : "";
+  return `${counts}${failed} · ${entry.filename}${parts}`;
+}
+
+async function renderLog() {
+  const entries = await window.ExportLog.load();
+  logBody.textContent = "";
+
+  if (entries.length === 0) {
+    const row = logBody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.textContent = "No exports yet.";
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const row = logBody.insertRow();
+    row.insertCell().textContent = new Date(entry.time).toLocaleString();
+    row.insertCell().textContent =
+      PROVIDER_LABELS[entry.provider] || entry.provider;
+    row.insertCell().textContent = entry.trigger;
+    const result = row.insertCell();
+    result.textContent = describeLogEntry(entry);
+    if (entry.status === "error") result.className = "error";
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.exportLog) renderLog();
+});
+
+restoreOptions();
+renderLog();
@@ -0,0 +1,104 @@
+// Universal Chat Log Export - Archive Verifier Page
+
+const dropZone = document.getElementById("drop-zone");
+const fileInput = document.getElementById("file-input");
+const statusEl = document.getElementById("status");
+const resultsEl = document.getElementById("results");
+const provenanceEl = document.getElementById("provenance");
+const problemsEl = document.getElementById("problems");
+
+const PROVENANCE_LABELS = {
+  extensionVersion: "Extension version",
+  provider: "Provider",
+  sourceUrl: "Source",
+  conversationId: "Conversation id",
+  exportedAt: "Exported at",
+  extractionStrategy: "Extraction",
+  schemaVersion: "Schema version",
+};
+
+function setStatus(message, className = "") {
+  statusEl.textContent = message;
+  statusEl.className = className;
+}
+
+function renderProvenance(provenance) {
+  provenanceEl.textContent = "";
+  Object.entries(PROVENANCE_LABELS).forEach(([key, label]) => {
+    const row = provenanceEl.insertRow();
+    const th = document.createElement("th");
+    th.textContent = label;
+    row.appendChild(th);
+    row.insertCell().textContent = provenance[key] ?? "—";
+  });
+}
+
+function renderProblemList(title, items) {
+  if (items.length === 0) return;
+  const heading = document.createElement("p");
+  heading.className = "error";
+  heading.textContent = `${title} (${items.length}):`;
+  const list = document.createElement("ul");
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.textContent = item;
+    list.appendChild(li);
+  });
+  problemsEl.append(heading, list);
+}
+
+async function verifyFile(file) {
+  resultsEl.hidden = true;
+  problemsEl.textContent = "";
+  setStatus(`Reading ${file.name}...`);
+
+  try {
+    const result = await window.ArchiveManifest.verify(file, (checked, total) =>
+      setStatus(`Checking files... (${checked}/${total})`),
+    );
+
+    renderProvenance(result.manifest.provenance || {});
+    renderProblemList(
+      "Changed",
+      result.mismatched.map((entry) => `${entry.path}: ${entry.reason}`),
+    );
+    renderProblemList("Missing", result.missing);
+    renderProblemList("Not in the manifest", result.extra);
+    resultsEl.hidden = false;
+
+    if (result.ok) {
+      setStatus(
+        `✔ ${file.name}: all ${result.verified.length} files match the manifest.`,
+        "ok",
+      );
+    } else {
+      setStatus(
+        `✘ ${file.name}: ${result.verified.length} files match, ${result.mismatched.length + result.missing.length + result.extra.length} problems found.`,
+        "error",
+      );
+    }
+  } catch (e) {
+    console.error(e);
+    setStatus(`Could not verify ${file.name}: ${e.message}`, "error");
+  }
+}
+
+fileInput.addEventListener("change", () => {
+  if (fileInput.files[0]) verifyFile(fileInput.files[0]);
+});
+
+dropZone.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  dropZone.classList.add("dragging");
+});
+
+dropZone.addEventListener("dragleave", () => {
+  dropZone.classList.remove("dragging");
+});
+
+dropZone.addEventListener("drop", (event) => {
+  event.preventDefault();
+  dropZone.classList.remove("dragging");
+  const file = event.dataTransfer.files[0];
+  if (file) verifyFile(file);
+});